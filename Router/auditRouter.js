@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getAuditLogs,
+  exportAuditLogs
+} = require('./../controller/auditController');
+const {
+  protect,
+  restrictTo,
+  sessionOnly
+} = require('./../controller/authController');
+
+const router = express.Router();
+
+// Admin only
+router.use(protect, sessionOnly, restrictTo('admin'));
+
+router.route('/').get(getAuditLogs);
+router.route('/export').get(exportAuditLogs);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const {
+  createCoupon,
+  getCoupons,
+  updateCoupon,
+  deleteCoupon,
+  validateCoupon
+} = require('./../controller/couponController');
+const {
+  protect,
+  restrictTo,
+  sessionOnly,
+  forbidImpersonation
+} = require('./../controller/authController');
+
+const router = express.Router();
+
+// Coupons change what courses cost, so API keys cannot manage them
+router.use(protect, sessionOnly);
+
+router.route('/validate').post(validateCoupon);
+
+// Coupon management: instructors for their own courses, admins everywhere
+router.use(restrictTo('instructor', 'admin'));
+
+router.route('/').get(getCoupons).post(forbidImpersonation, createCoupon);
+router
+  .route('/:id')
+  .patch(forbidImpersonation, updateCoupon)
+  .delete(forbidImpersonation, deleteCoupon);
+
+module.exports = router;
@@ -13,7 +13,11 @@ const {
   updateMyCourse,
   unpublishCourse
 } = require('./../controller/courseController');
-const { protect, restrictTo } = require('./../controller/authController');
+const {
+  protect,
+  restrictTo,
+  apiKeyScope
+} = require('./../controller/authController');
 const { getCourseStats } = require('./../controller/review_ratingsController');
 
 const router = express.Router();
@@ -21,23 +25,36 @@ const router = express.Router();
 router.route('/').get(getAllCourses);
 // Protected route to fetch courses created by the logged-in user.
 // Declare before the param route so '/my-courses' does not match '/:id'.
-router.route('/my-courses').get(protect, getMyCourses);
+router.route('/my-courses').get(protect, apiKeyScope('courses'), getMyCourses);
 
 router.route('/:id').get(getCourse);
 
-router.use(protect);
+router.use(protect, apiKeyScope('courses'));
+
+// Course authoring is limited to approved instructors (and admins)
+const restrictToAuthors = restrictTo('instructor', 'admin');
 
 router
   .route('/postCourse')
-  .post(uploadCourseBanner, uploadBannerToStorage, userCreateCourse);
+  .post(
+    restrictToAuthors,
+    uploadCourseBanner,
+    uploadBannerToStorage,
+    userCreateCourse
+  );
 
-router.route('/:id/publish').patch(publishCourse);
-router.route('/:id/unpublish').patch(unpublishCourse);
+router.route('/:id/publish').patch(restrictToAuthors, publishCourse);
+router.route('/:id/unpublish').patch(restrictToAuthors, unpublishCourse);
 
 // Allow course authors to update their own course (protected)
 router
   .route('/:id/update')
-  .patch(uploadCourseBanner, uploadBannerToStorage, updateMyCourse);
+  .patch(
+    restrictToAuthors,
+    uploadCourseBanner,
+    uploadBannerToStorage,
+    updateMyCourse
+  );
 
 router.use(restrictTo('admin'));
 
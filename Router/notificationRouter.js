@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getMyNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  getMyPreferences,
+  updateMyPreferences
+} = require('./../controller/notificationController');
+const { protect, sessionOnly } = require('./../controller/authController');
+
+const router = express.Router();
+
+router.use(protect, sessionOnly);
+
+router.route('/').get(getMyNotifications);
+router.route('/unread-count').get(getUnreadCount);
+router.route('/read-all').patch(markAllRead);
+router.route('/preferences').get(getMyPreferences).patch(updateMyPreferences);
+router.route('/:id/read').patch(markRead);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const {
+  requireOrgRole,
+  createOrganization,
+  getMyOrganizations,
+  getOrganization,
+  updateOrganization,
+  getMembers,
+  addMember,
+  getMyInvites,
+  acceptInvite,
+  declineInvite,
+  updateMemberRole,
+  removeMember,
+  getLicenses,
+  getSeatCheckoutSession,
+  assignSeat,
+  getSeatAssignments,
+  revokeSeat,
+  getProgressDashboard
+} = require('./../controller/organizationController');
+const {
+  protect,
+  sessionOnly,
+  forbidImpersonation
+} = require('./../controller/authController');
+
+const router = express.Router();
+
+router.use(protect, sessionOnly);
+
+const managers = requireOrgRole('owner', 'manager');
+
+router.route('/').get(getMyOrganizations).post(createOrganization);
+
+router.route('/invites').get(getMyInvites);
+router.route('/invites/:inviteId/accept').post(acceptInvite);
+router.route('/invites/:inviteId/decline').post(declineInvite);
+
+router
+  .route('/:orgId')
+  .get(requireOrgRole(), getOrganization)
+  .patch(requireOrgRole('owner'), updateOrganization);
+
+router
+  .route('/:orgId/members')
+  .get(managers, getMembers)
+  .post(managers, addMember);
+router
+  .route('/:orgId/members/:userId')
+  .patch(requireOrgRole('owner'), updateMemberRole)
+  .delete(managers, removeMember);
+
+router.route('/:orgId/licenses').get(managers, getLicenses);
+router
+  .route('/:orgId/licenses/checkout')
+  .post(forbidImpersonation, managers, getSeatCheckoutSession);
+
+router
+  .route('/:orgId/seats')
+  .get(managers, getSeatAssignments)
+  .post(managers, assignSeat);
+router.route('/:orgId/seats/:assignmentId').delete(managers, revokeSeat);
+
+router.route('/:orgId/dashboard').get(managers, getProgressDashboard);
+
+module.exports = router;
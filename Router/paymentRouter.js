@@ -5,9 +5,37 @@ const {
   getMyPayments,
   getAllPayments,
   webhookCheckout,
-  checkEnrollment
+  checkEnrollment,
+  enrollInFreeCourse
 } = require('./../controller/paymentController');
-const { protect, restrictTo } = require('./../controller/authController');
+const {
+  getPlans,
+  getSubscriptionCheckoutSession,
+  getMySubscription,
+  cancelMySubscription,
+  resumeMySubscription,
+  getAllSubscriptions
+} = require('./../controller/subscriptionController');
+const {
+  getMyCart,
+  addToCart,
+  removeFromCart,
+  clearCart,
+  getCartCheckoutSession
+} = require('./../controller/cartController');
+const {
+  requestRefund,
+  getMyRefundRequests,
+  getRefundRequests,
+  reviewRefundRequest,
+  refundPayment
+} = require('./../controller/refundController');
+const {
+  protect,
+  restrictTo,
+  apiKeyScope,
+  forbidImpersonation
+} = require('./../controller/authController');
 
 const router = express.Router();
 
@@ -16,16 +44,48 @@ const router = express.Router();
 // router.post('/webhook-checkout', express.raw({ type: 'application/json' }), webhookCheckout);
 
 // Protected routes (require authentication)
-router.use(protect);
+router.use(protect, apiKeyScope('payments'));
 
-router.route('/checkout-session/:courseId').get(getCheckoutSession);
-router.route('/verify-payment').post(verifyPayment);
+// Admins impersonating a student must never be able to spend their money
+router
+  .route('/checkout-session/:courseId')
+  .get(forbidImpersonation, getCheckoutSession);
+router.route('/verify-payment').post(forbidImpersonation, verifyPayment);
+router.route('/enroll/:courseId').post(forbidImpersonation, enrollInFreeCourse);
 router.route('/my-payments').get(getMyPayments);
 router.route('/check-enrollment/:courseId').get(checkEnrollment);
 
+// Cart: several courses in one checkout
+router.route('/cart').get(getMyCart).post(addToCart).delete(clearCart);
+router
+  .route('/cart/checkout')
+  .post(forbidImpersonation, getCartCheckoutSession);
+router.route('/cart/:courseId').delete(removeFromCart);
+
+// Refund requests, within the refund window
+router.route('/refund-requests').post(forbidImpersonation, requestRefund);
+router.route('/refund-requests/me').get(getMyRefundRequests);
+
+// All-access subscription plans
+router.route('/plans').get(getPlans);
+router
+  .route('/subscription/checkout')
+  .post(forbidImpersonation, getSubscriptionCheckoutSession);
+router.route('/subscription/me').get(getMySubscription);
+router
+  .route('/subscription/cancel')
+  .post(forbidImpersonation, cancelMySubscription);
+router
+  .route('/subscription/resume')
+  .post(forbidImpersonation, resumeMySubscription);
+
 // Admin routes
 router.use(restrictTo('admin'));
 
 router.route('/').get(getAllPayments);
+router.route('/subscriptions').get(getAllSubscriptions);
+router.route('/refund-requests').get(getRefundRequests);
+router.route('/refund-requests/:id').patch(reviewRefundRequest);
+router.route('/:paymentId/refund').post(refundPayment);
 
 module.exports = router;
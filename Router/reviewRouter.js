@@ -10,7 +10,11 @@ const {
   getAllReviews,
   adminDeleteReview
 } = require('./../controller/review_ratingsController');
-const { protect, restrictTo } = require('./../controller/authController');
+const {
+  protect,
+  restrictTo,
+  apiKeyScope
+} = require('./../controller/authController');
 const { getCourseStats } = require('./../controller/review_ratingsController');
 
 const router = express.Router();
@@ -18,10 +22,12 @@ const router = express.Router();
 // Public routes
 router.route('/course/:courseId').get(getReviewsByCourse);
 router.route('/:courseId/course').get(getCourseStats);
-router.route('/user/:userId').get(protect, getReviewsByUser);
+router
+  .route('/user/:userId')
+  .get(protect, apiKeyScope('reviews'), getReviewsByUser);
 
 // Protected routes (require authentication)
-router.use(protect);
+router.use(protect, apiKeyScope('reviews'));
 
 router.route('/').post(createReview);
 router.route('/myreviews').get(getMyReviews);
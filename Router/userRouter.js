@@ -9,42 +9,201 @@ const {
   deleteMe,
   uploadUserPhoto,
   resizeAndUploadUserPhoto,
-  updateMe
+  updateMe,
+  reactivateUser
 } = require('./../controller/userController');
 
 const {
   signup,
   login,
+  refresh,
+  logout,
   protect,
   restrictTo,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  updatePassword,
+  verifyLoginMfa,
+  enrollMfa,
+  verifyMfa,
+  disableMfa,
+  oauthStart,
+  oauthCallback,
+  linkOAuthProvider,
+  requestMagicLink,
+  verifyMagicLink,
+  requestEmailOtp,
+  verifyEmailOtp,
+  sessionOnly,
+  forbidImpersonation
 } = require('./../controller/authController');
+const {
+  applyForInstructor,
+  getMyApplications,
+  getApplications,
+  reviewApplication,
+  getInstructorProfile
+} = require('./../controller/instructorController');
+const {
+  getMySessions,
+  revokeSession,
+  revokeAllSessions
+} = require('./../controller/sessionController');
+const {
+  createApiKey,
+  getMyApiKeys,
+  revokeApiKey
+} = require('./../controller/apiKeyController');
+const {
+  impersonateUser,
+  stopImpersonation,
+  getImpersonationLogs
+} = require('./../controller/impersonationController');
+const {
+  requestMyDataExport,
+  getMyDataExport
+} = require('./../controller/dataExportController');
+const {
+  uploadImportFile,
+  createUserImport,
+  getUserImports,
+  getUserImport
+} = require('./../controller/userImportController');
+const { rateLimit, byEmail } = require('./../util/rateLimiter');
+
+const MINUTE = 60 * 1000;
+
+const signupLimiter = rateLimit({
+  name: 'signup',
+  windowMs: 60 * MINUTE,
+  max: 5,
+  message: 'Too many accounts created from this IP. Please try again later'
+});
+
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: 15 * MINUTE,
+  max: 20,
+  message: 'Too many login attempts from this IP. Please try again later'
+});
+
+const forgotPasswordIpLimiter = rateLimit({
+  name: 'forgot-password-ip',
+  windowMs: 60 * MINUTE,
+  max: 10,
+  message: 'Too many password reset requests. Please try again later'
+});
+
+const forgotPasswordEmailLimiter = rateLimit({
+  name: 'forgot-password-email',
+  windowMs: 60 * MINUTE,
+  max: 3,
+  keyGenerator: byEmail,
+  message:
+    'A reset email was already sent to this address. Please check your inbox or try again later'
+});
+
+// Magic links and OTP codes share one email, so they share the per-email limit
+const loginEmailIpLimiter = rateLimit({
+  name: 'login-email-ip',
+  windowMs: 60 * MINUTE,
+  max: 20,
+  message: 'Too many login emails requested. Please try again later'
+});
+
+const loginEmailLimiter = rateLimit({
+  name: 'login-email',
+  windowMs: 15 * MINUTE,
+  max: 3,
+  keyGenerator: byEmail,
+  message:
+    'A login email was already sent to this address. Please check your inbox or try again later'
+});
 
 const router = express.Router();
 
-router.route('/signup').post(signup);
-router.route('/login').post(login);
+router.route('/signup').post(signupLimiter, signup);
+router.route('/login').post(loginLimiter, login);
+router.route('/login/mfa').post(loginLimiter, verifyLoginMfa);
+router
+  .route('/login/magic-link')
+  .post(loginEmailIpLimiter, loginEmailLimiter, requestMagicLink);
+router.route('/login/magic-link/verify').get(verifyMagicLink);
+router
+  .route('/login/otp')
+  .post(loginEmailIpLimiter, loginEmailLimiter, requestEmailOtp);
+router.route('/login/otp/verify').post(loginLimiter, verifyEmailOtp);
+router.route('/oauth/callback').get(oauthCallback);
+router.route('/oauth/:provider').get(loginLimiter, oauthStart);
+router.route('/refresh').post(refresh);
+router.route('/logout').post(logout);
 
-router.route('/forget-password').post(forgotPassword);
+router
+  .route('/forget-password')
+  .post(forgotPasswordIpLimiter, forgotPasswordEmailLimiter, forgotPassword);
 router.route('/reset-password').post(resetPassword);
 
 // Public route: get current user from token (cookie or header)
 router.route('/getMe').get(getMe);
 
-// Protect remaining routes
-router.use(protect);
+// Public instructor profile
+router.route('/instructors/:id').get(getInstructorProfile);
+
+// Protect remaining routes. Account management requires an interactive
+// login, so personal API keys are rejected here.
+router.use(protect, sessionOnly);
 
 router
   .route('/updateMe')
   .patch(uploadUserPhoto, resizeAndUploadUserPhoto, updateMe);
 
+router.route('/impersonation/stop').post(stopImpersonation);
+
+router.route('/instructor/applications/me').get(getMyApplications);
+
+// Credentials, devices and account deletion cannot be changed by an admin
+// impersonating the user
+router.use(forbidImpersonation);
+
+router.route('/api-keys').get(getMyApiKeys).post(createApiKey);
+router.route('/api-keys/:id').delete(revokeApiKey);
+
+router.route('/sessions').get(getMySessions).delete(revokeAllSessions);
+router.route('/sessions/:id').delete(revokeSession);
+
+router.route('/oauth/link/:provider').post(linkOAuthProvider);
+
+router.route('/mfa/enroll').post(enrollMfa);
+router.route('/mfa/verify').post(verifyMfa);
+router.route('/mfa/disable').post(disableMfa);
+
+router.route('/me/export').get(requestMyDataExport);
+router.route('/me/export/:exportId').get(getMyDataExport);
+
+router.route('/updatePassword').patch(loginLimiter, updatePassword);
+
 router.route('/deleteMe').patch(deleteMe);
 
+router.route('/instructor/apply').post(applyForInstructor);
+
 router.use(restrictTo('admin'));
 
 router.route('/').get(getAllUsers).post(createUser);
 
+router
+  .route('/imports')
+  .get(getUserImports)
+  .post(uploadImportFile, createUserImport);
+router.route('/imports/:importId').get(getUserImport);
+
+router.route('/instructor/applications').get(getApplications);
+router.route('/instructor/applications/:id').patch(reviewApplication);
+
+router.route('/impersonation/logs').get(getImpersonationLogs);
+
+router.route('/:id/reactivate').patch(reactivateUser);
+router.route('/:id/impersonate').post(impersonateUser);
+
 router.route('/:id').get(getUser).patch(updateUser).delete(deleteUser);
 
 module.exports = router;
@@ -11,26 +11,43 @@ const {
   userUploadVideo,
   reorderVideos,
   getVideosWithProgress,
-  updateVideoProgress
+  updateVideoProgress,
+  requireCourseAccess
 } = require('./../controller/videoController');
-const { protect, restrictTo } = require('./../controller/authController');
+const {
+  protect,
+  restrictTo,
+  apiKeyScope
+} = require('./../controller/authController');
 
 const router = express.Router();
 
 router.route('/course/:courseId').get(getVideosByCourse);
 // return videos with per-user progress (requires authentication)
-router.route('/course/:courseId/progress').get(protect, getVideosWithProgress);
+router
+  .route('/course/:courseId/progress')
+  .get(
+    protect,
+    apiKeyScope('videos'),
+    requireCourseAccess,
+    getVideosWithProgress
+  );
 
-router.use(protect);
+router.use(protect, apiKeyScope('videos'));
+
+// Video authoring is limited to approved instructors (and admins)
+const restrictToAuthors = restrictTo('instructor', 'admin');
 
 router
   .route('/upload')
-  .post(uploadVideo, uploadVideoToStorage, userUploadVideo);
+  .post(restrictToAuthors, uploadVideo, uploadVideoToStorage, userUploadVideo);
 
-router.route('/reorder/:courseId').patch(reorderVideos);
+router.route('/reorder/:courseId').patch(restrictToAuthors, reorderVideos);
 
 // expose per-video progress endpoint for authenticated users BEFORE admin restriction
-router.route('/:id/progress').post(protect, updateVideoProgress);
+router
+  .route('/:id/progress')
+  .post(protect, requireCourseAccess, updateVideoProgress);
 
 router.use(restrictTo('admin'));
 
@@ -8,12 +8,22 @@ const courseRouter = require('./Router/courseRouter');
 const videoRouter = require('./Router/videoRouter');
 const reviewRouter = require('./Router/reviewRouter');
 const paymentRouter = require('./Router/paymentRouter');
+const auditRouter = require('./Router/auditRouter');
+const notificationRouter = require('./Router/notificationRouter');
+const organizationRouter = require('./Router/organizationRouter');
+const couponRouter = require('./Router/couponRouter');
 const { webhookCheckout } = require('./controller/paymentController');
 const AppError = require('./util/appError');
 const { globalErrorHandler } = require('./controller/errorController');
 
 const app = express();
 
+// Behind the hosting provider's proxy req.ip would otherwise be the proxy's
+// address, which makes per-IP rate limits apply to everyone at once.
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
+
 // CORS Configuration
 const corsOptions = {
   origin: [
@@ -54,6 +64,10 @@ app.use('/api/saas/course', courseRouter);
 app.use('/api/saas/video', videoRouter);
 app.use('/api/saas/review', reviewRouter);
 app.use('/api/saas/payment', paymentRouter);
+app.use('/api/saas/audit', auditRouter);
+app.use('/api/saas/notifications', notificationRouter);
+app.use('/api/saas/organizations', organizationRouter);
+app.use('/api/saas/coupons', couponRouter);
 
 app.all('*', (req, res, next) => {
   // Return a 404 for unknown routes (mark as operational)
@@ -0,0 +1,128 @@
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const { API_KEY_SCOPES, generateApiKey } = require('./../util/apiKeys');
+
+const MAX_KEYS_PER_USER = 10;
+
+exports.createApiKey = catchAsync(async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    return next(
+      new AppError('Please provide a name and an array of scopes', 400)
+    );
+  }
+
+  const invalid = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    return next(
+      new AppError(
+        `Invalid scopes: ${invalid.join(', ')}. Allowed scopes: ${API_KEY_SCOPES.join(', ')}`,
+        400
+      )
+    );
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return next(
+        new AppError('expiresInDays must be a whole number from 1 to 365', 400)
+      );
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const { count } = await supabase
+    .from('api_keys')
+    .select('key_id', { count: 'exact', head: true })
+    .eq('user_id', req.user.id)
+    .is('revoked_at', null);
+
+  if (count >= MAX_KEYS_PER_USER) {
+    return next(
+      new AppError(
+        `You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first`,
+        400
+      )
+    );
+  }
+
+  const { key, lookupId, keyHash } = generateApiKey();
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert([
+      {
+        user_id: req.user.id,
+        name,
+        lookup_id: lookupId,
+        key_hash: keyHash,
+        scopes: [...new Set(scopes)],
+        expires_at: expiresAt ? expiresAt.toISOString() : null
+      }
+    ])
+    .select('key_id, name, lookup_id, scopes, created_at, expires_at');
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'API key created. Copy it now; it will not be shown again.',
+    data: {
+      apiKey: {
+        ...data[0],
+        key
+      }
+    }
+  });
+});
+
+exports.getMyApiKeys = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select(
+      'key_id, name, lookup_id, scopes, created_at, last_used_at, expires_at, revoked_at'
+    )
+    .eq('user_id', req.user.id)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      apiKeys: data
+    }
+  });
+});
+
+exports.revokeApiKey = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('key_id', req.params.id)
+    .eq('user_id', req.user.id)
+    .is('revoked_at', null)
+    .select('key_id');
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  if (!data || data.length === 0) {
+    return next(new AppError('No active API key found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -1,6 +1,235 @@
+const crypto = require('crypto');
 const { supabase } = require('./../util/supabaseclient');
 const AppError = require('./../util/appError');
 const catchAsync = require('./../util/catchAsync');
+const {
+  setAuthCookies,
+  clearAuthCookies,
+  getAccessToken,
+  getRefreshToken,
+  refreshSession,
+  resolveSession,
+  getSessionId
+} = require('./../util/authSession');
+const validatePassword = require('./../util/passwordPolicy');
+const totp = require('./../util/totp');
+const { createLockout, tooManyRequests } = require('./../util/rateLimiter');
+const { findApiKey } = require('./../util/apiKeys');
+const {
+  recordSession,
+  touchSession,
+  revokeSessions,
+  logImpersonatedRequest
+} = require('./../util/sessionTracker');
+const {
+  SUPPORTED_PROVIDERS,
+  createPkceClient,
+  savePkceState,
+  readPkceState,
+  clearPkceState,
+  callbackUrl,
+  frontendUrl,
+  safeRedirectPath
+} = require('./../util/oauthClient');
+const { sendEmail } = require('./../util/email');
+const {
+  SUPPORTED_LOCALES,
+  resolveLocale
+} = require('./../util/emailTemplates');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'SaaS App';
+const MFA_LOGIN_TTL = 5 * 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+const MFA_MAX_ATTEMPTS = 5;
+
+// Per-account lockout for failed password and second-factor attempts
+const loginLockout = createLockout({ name: 'login' });
+
+// Password-verified logins waiting for the second factor, keyed by a random
+// one-time token handed to the client. Entries expire after five minutes.
+const pendingMfaLogins = new Map();
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).replace(/-/g, '').toLowerCase())
+    .digest('hex');
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+// Check a TOTP code or, failing that, consume a single-use recovery code.
+const verifySecondFactor = async (userRow, { code, recoveryCode }) => {
+  if (code && totp.verify(userRow.mfa_secret, code)) return true;
+
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const remaining = userRow.mfa_recovery_codes || [];
+    if (!remaining.includes(hashed)) return false;
+
+    const { error } = await supabase
+      .from('users')
+      .update({ mfa_recovery_codes: remaining.filter((c) => c !== hashed) })
+      .eq('id', userRow.id);
+
+    return !error;
+  }
+
+  return false;
+};
+
+const markSessionMfaVerified = async (userId, accessToken) => {
+  const sessionId = getSessionId(accessToken);
+  if (!sessionId) return;
+
+  const { error } = await supabase.from('mfa_sessions').upsert(
+    [
+      {
+        session_id: sessionId,
+        user_id: userId,
+        verified_at: new Date().toISOString()
+      }
+    ],
+    { onConflict: 'session_id' }
+  );
+
+  if (error) {
+    console.error('Failed to record MFA-verified session:', error);
+  }
+};
+
+// Hold a password- or provider-verified session until the second factor is
+// checked through /login/mfa, and return the one-time token for that step.
+const startMfaChallenge = (session, user, accountKey) => {
+  const mfaToken = crypto.randomBytes(32).toString('hex');
+  pendingMfaLogins.set(mfaToken, {
+    session,
+    user,
+    accountKey,
+    attempts: 0,
+    expiresAt: Date.now() + MFA_LOGIN_TTL
+  });
+  setTimeout(() => pendingMfaLogins.delete(mfaToken), MFA_LOGIN_TTL).unref();
+  return mfaToken;
+};
+
+// Accounts created through an OAuth provider may not have a profile row yet
+const ensureUserProfile = async (user) => {
+  const { data: existing } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', user.id)
+    .maybeSingle();
+
+  if (existing) return existing;
+
+  const meta = user.user_metadata || {};
+  const { data, error } = await supabase
+    .from('users')
+    .upsert(
+      [
+        {
+          id: user.id,
+          email: user.email,
+          full_name: meta.full_name || meta.name || meta.user_name || null,
+          image: meta.avatar_url || meta.picture || null
+        }
+      ],
+      { onConflict: 'id', ignoreDuplicates: true }
+    )
+    .select();
+
+  if (error) {
+    console.error('Failed to create user profile after OAuth login:', error);
+    return null;
+  }
+
+  return data && data[0];
+};
+
+const sendLoginResponse = async (req, res, session, user) => {
+  setAuthCookies(res, session);
+  await recordSession(req, session);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Logged in successfully',
+    token: session.access_token,
+    data: {
+      user
+    }
+  });
+};
+
+// Checks shared by every JSON login once the credentials are verified:
+// deactivated accounts are rejected and MFA users get a second step.
+const completeLogin = async (req, res, next, session, user, accountKey) => {
+  const { data: userRow } = await supabase
+    .from('users')
+    .select('mfa_enabled, is_active')
+    .eq('id', user.id)
+    .single();
+
+  if (userRow && userRow.is_active === false) {
+    await supabase.auth.admin.signOut(session.access_token, 'local');
+    return next(
+      new AppError(
+        'This account has been deactivated. Please contact support to reactivate it',
+        401
+      )
+    );
+  }
+
+  // With MFA enabled the first factor alone does not log the user in: hold
+  // the session until the second factor is verified through /login/mfa.
+  if (userRow && userRow.mfa_enabled) {
+    const mfaToken = startMfaChallenge(session, user, accountKey);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Please enter the code from your authenticator app',
+      mfaRequired: true,
+      mfaToken
+    });
+  }
+
+  await loginLockout.reset(accountKey);
+  await sendLoginResponse(req, res, session, user);
+};
+
+// Same checks for logins that finish with a browser redirect (OAuth and
+// magic links): the outcome is reported to the frontend in the URL.
+const completeRedirectLogin = async (req, res, session, user, redirectPath) => {
+  const profile = await ensureUserProfile(user);
+
+  if (profile && profile.is_active === false) {
+    await supabase.auth.admin.signOut(session.access_token, 'local');
+    return res.redirect(
+      frontendUrl(
+        `/login?error=${encodeURIComponent('This account has been deactivated')}`
+      )
+    );
+  }
+
+  if (profile && profile.mfa_enabled) {
+    const mfaToken = startMfaChallenge(
+      session,
+      user,
+      String(user.email).toLowerCase()
+    );
+    return res.redirect(
+      frontendUrl(`/login/mfa?mfaToken=${encodeURIComponent(mfaToken)}`)
+    );
+  }
+
+  // Same cookies a password login sets
+  setAuthCookies(res, session);
+  await recordSession(req, session);
+  res.redirect(frontendUrl(redirectPath || '/'));
+};
 
 exports.signup = catchAsync(async (req, res, next) => {
   const { email, password, name } = req.body;
@@ -9,12 +238,22 @@ exports.signup = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide email and password', 400));
   }
 
+  const weakness = validatePassword(password);
+  if (weakness) {
+    return next(new AppError(weakness, 400));
+  }
+
+  const locale = resolveLocale(
+    req.body.locale || req.acceptsLanguages(...SUPPORTED_LOCALES)
+  );
+
   const { data, error } = await supabase.auth.signUp({
     email,
     password,
     options: {
       data: {
-        name: name
+        name: name,
+        locale
       }
     }
   });
@@ -23,6 +262,17 @@ exports.signup = catchAsync(async (req, res, next) => {
     return next(new AppError(error.message, 400));
   }
 
+  // Supabase answers a signup for an existing email with an obfuscated user
+  // without identities; only real new accounts get a welcome email.
+  if (data.user && data.user.identities && data.user.identities.length > 0) {
+    await sendEmail({
+      to: data.user.email,
+      template: 'welcome',
+      locale,
+      data: { name, url: frontendUrl('/courses') }
+    });
+  }
+
   res.status(201).json({
     status: 'success',
     message:
@@ -40,12 +290,25 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide email and password', 400));
   }
 
+  const accountKey = String(email).trim().toLowerCase();
+  const lockedUntil = await loginLockout.lockedUntil(accountKey);
+
+  if (lockedUntil) {
+    return next(
+      tooManyRequests(
+        'Too many failed login attempts. Please try again later',
+        lockedUntil
+      )
+    );
+  }
+
   const { data, error } = await supabase.auth.signInWithPassword({
     email,
     password
   });
 
   if (error) {
+    await loginLockout.registerFailure(accountKey);
     return next(new AppError('Invalid email or password', 401));
   }
 
@@ -55,60 +318,459 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError('Authentication failed', 401));
   }
 
-  res.cookie('jwt', accessToken, {
-    // make the cookie accessible to client JS so logout can be fully client-side
-    httpOnly: false,
-    secure: process.env.NODE_ENV === 'production',
-    maxAge: 24 * 60 * 60 * 1000,
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+  await completeLogin(req, res, next, data.session, data.user, accountKey);
+});
+
+exports.verifyLoginMfa = catchAsync(async (req, res, next) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  if (!mfaToken || (!code && !recoveryCode)) {
+    return next(
+      new AppError('Please provide mfaToken and a code or recovery code', 400)
+    );
+  }
+
+  const pending = pendingMfaLogins.get(mfaToken);
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    pendingMfaLogins.delete(mfaToken);
+    return next(
+      new AppError('Login attempt expired. Please log in again', 401)
+    );
+  }
+
+  const { data: userRow, error } = await supabase
+    .from('users')
+    .select('id, mfa_secret, mfa_recovery_codes')
+    .eq('id', pending.user.id)
+    .single();
+
+  if (error || !userRow) {
+    return next(new AppError('Unable to verify two-factor code', 401));
+  }
+
+  const valid = await verifySecondFactor(userRow, { code, recoveryCode });
+
+  if (!valid) {
+    pending.attempts += 1;
+    if (pending.attempts >= MFA_MAX_ATTEMPTS) {
+      pendingMfaLogins.delete(mfaToken);
+    }
+    await loginLockout.registerFailure(pending.accountKey);
+    return next(new AppError('Invalid two-factor code', 401));
+  }
+
+  pendingMfaLogins.delete(mfaToken);
+  await loginLockout.reset(pending.accountKey);
+  await markSessionMfaVerified(pending.user.id, pending.session.access_token);
+
+  await sendLoginResponse(req, res, pending.session, pending.user);
+});
+
+// Start a Supabase OAuth flow: redirect the browser to the provider's
+// consent screen. An optional ?redirect=/path is honoured after login.
+exports.oauthStart = catchAsync(async (req, res, next) => {
+  const { provider } = req.params;
+
+  if (!SUPPORTED_PROVIDERS.includes(provider)) {
+    return next(
+      new AppError(
+        `Unsupported provider. Use one of: ${SUPPORTED_PROVIDERS.join(', ')}`,
+        400
+      )
+    );
+  }
+
+  const { client, items } = createPkceClient();
+
+  const { data, error } = await client.auth.signInWithOAuth({
+    provider,
+    options: {
+      redirectTo: callbackUrl(req),
+      skipBrowserRedirect: true
+    }
   });
 
+  if (error || !data.url) {
+    return next(new AppError(error?.message || 'Unable to start login', 400));
+  }
+
+  savePkceState(res, items, safeRedirectPath(req.query.redirect));
+  res.redirect(data.url);
+});
+
+// Attach an OAuth provider to the logged-in account. Supabase sends the
+// browser back to the same callback as a regular OAuth login.
+exports.linkOAuthProvider = catchAsync(async (req, res, next) => {
+  const { provider } = req.params;
+
+  if (!SUPPORTED_PROVIDERS.includes(provider)) {
+    return next(
+      new AppError(
+        `Unsupported provider. Use one of: ${SUPPORTED_PROVIDERS.join(', ')}`,
+        400
+      )
+    );
+  }
+
+  const refreshToken = getRefreshToken(req);
+  if (!refreshToken) {
+    return next(
+      new AppError('Please log in again before linking an account', 401)
+    );
+  }
+
+  const { client, items } = createPkceClient();
+
+  const { error: sessionError } = await client.auth.setSession({
+    access_token: req.accessToken,
+    refresh_token: refreshToken
+  });
+
+  if (sessionError) {
+    return next(
+      new AppError('Please log in again before linking an account', 401)
+    );
+  }
+
+  const { data, error } = await client.auth.linkIdentity({
+    provider,
+    options: {
+      redirectTo: callbackUrl(req),
+      skipBrowserRedirect: true
+    }
+  });
+
+  if (error || !data.url) {
+    return next(
+      new AppError(error?.message || 'Unable to link this provider', 400)
+    );
+  }
+
+  savePkceState(res, items, safeRedirectPath(req.query.redirect));
+
+  // Linking is started with an authenticated XHR, so hand the URL back to
+  // the frontend instead of redirecting the request itself.
   res.status(200).json({
     status: 'success',
-    message: 'Logged in successfully',
-    token: accessToken,
     data: {
-      user: data.user
+      url: data.url
     }
   });
 });
 
-exports.protect = catchAsync(async (req, res, next) => {
-  let token;
+exports.oauthCallback = catchAsync(async (req, res, next) => {
+  const state = readPkceState(req);
+  clearPkceState(res);
+
+  const fail = (message) =>
+    res.redirect(frontendUrl(`/login?error=${encodeURIComponent(message)}`));
+
+  if (req.query.error) {
+    return fail(req.query.error_description || req.query.error);
+  }
+
+  if (!req.query.code || !state) {
+    return fail('Login attempt expired. Please try again');
+  }
+
+  const { client } = createPkceClient(state.items);
+  const { data, error } = await client.auth.exchangeCodeForSession(
+    req.query.code
+  );
 
-  // Check Authorization header first, then cookie
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith('Bearer')
-  ) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies && req.cookies.jwt) {
-    token = req.cookies.jwt;
+  if (error || !data.session) {
+    return fail('Unable to complete login. Please try again');
   }
 
-  if (!token) {
+  await completeRedirectLogin(
+    req,
+    res,
+    data.session,
+    data.user,
+    state.redirect
+  );
+});
+
+// Magic links and email OTP codes come from the same Supabase "Magic Link"
+// email. Its template should show {{ .Token }} for the code and link to
+// <BACKEND_URL>/api/saas/user/login/magic-link/verify?token_hash={{ .TokenHash }}&type=email
+// so the link is verified here and the session lands in our cookies.
+const sendLoginEmail = async (email) => {
+  const { error } = await supabase.auth.signInWithOtp({
+    email,
+    options: {
+      // Passwordless login is for existing accounts; signup stays separate
+      shouldCreateUser: false
+    }
+  });
+
+  // Unknown addresses are not reported back, so the endpoint cannot be used
+  // to discover which emails have accounts.
+  if (error && error.status !== 400 && error.status !== 422) {
+    throw new AppError(error.message, error.status || 400);
+  }
+};
+
+exports.requestMagicLink = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new AppError('Email is required', 400));
+  }
+
+  await sendLoginEmail(email);
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      'If an account exists for this email, a login link has been sent to it.'
+  });
+});
+
+exports.verifyMagicLink = catchAsync(async (req, res, next) => {
+  const { token_hash, type } = req.query;
+
+  if (!token_hash) {
+    return res.redirect(
+      frontendUrl(
+        `/login?error=${encodeURIComponent('Invalid or expired login link')}`
+      )
+    );
+  }
+
+  const { data, error } = await supabase.auth.verifyOtp({
+    token_hash,
+    type: type === 'magiclink' ? 'magiclink' : 'email'
+  });
+
+  if (error || !data.session) {
+    return res.redirect(
+      frontendUrl(
+        `/login?error=${encodeURIComponent('Invalid or expired login link')}`
+      )
+    );
+  }
+
+  await completeRedirectLogin(req, res, data.session, data.user, '/');
+});
+
+exports.requestEmailOtp = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new AppError('Email is required', 400));
+  }
+
+  await sendLoginEmail(email);
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      'If an account exists for this email, a six-digit login code has been sent to it.'
+  });
+});
+
+exports.verifyEmailOtp = catchAsync(async (req, res, next) => {
+  const { email, token } = req.body;
+
+  if (!email || !token) {
+    return next(new AppError('Please provide email and the login code', 400));
+  }
+
+  const accountKey = String(email).trim().toLowerCase();
+  const lockedUntil = await loginLockout.lockedUntil(accountKey);
+
+  if (lockedUntil) {
     return next(
-      new AppError('You are not logged in. Please log in to get access', 401)
+      tooManyRequests(
+        'Too many failed login attempts. Please try again later',
+        lockedUntil
+      )
     );
   }
 
-  const { data, error } = await supabase.auth.getUser(token);
+  const { data, error } = await supabase.auth.verifyOtp({
+    email,
+    token: String(token).trim(),
+    type: 'email'
+  });
+
+  if (error || !data.session) {
+    await loginLockout.registerFailure(accountKey);
+    return next(new AppError('Invalid or expired login code', 401));
+  }
+
+  await completeLogin(req, res, next, data.session, data.user, accountKey);
+});
+
+const authenticateApiKey = async (req, next, key) => {
+  const apiKey = await findApiKey(key);
+
+  if (!apiKey) {
+    return next(new AppError('Invalid, expired or revoked API key', 401));
+  }
+
+  const { data, error } = await supabase.auth.admin.getUserById(apiKey.user_id);
 
   if (error || !data.user) {
     return next(
-      new AppError('Invalid token or session expired. Please log in again', 401)
+      new AppError('The owner of this API key no longer exists', 401)
     );
   }
 
+  const { data: userRow } = await supabase
+    .from('users')
+    .select('is_active')
+    .eq('id', apiKey.user_id)
+    .single();
+
+  if (userRow && userRow.is_active === false) {
+    return next(new AppError('This account has been deactivated', 401));
+  }
+
   req.user = data.user;
+  req.apiKey = { id: apiKey.key_id, scopes: apiKey.scopes || [] };
+  next();
+};
+
+exports.protect = catchAsync(async (req, res, next) => {
+  // Personal API keys: `Authorization: ApiKey <key>`
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('ApiKey ')) {
+    return authenticateApiKey(req, next, authHeader.slice(7).trim());
+  }
+
+  if (!getAccessToken(req) && !getRefreshToken(req)) {
+    return next(
+      new AppError('You are not logged in. Please log in to get access', 401)
+    );
+  }
+
+  // Expired access tokens are transparently rotated using the refresh cookie
+  const session = await resolveSession(req, res);
+
+  if (!session) {
+    return next(
+      new AppError('Invalid token or session expired. Please log in again', 401)
+    );
+  }
+
+  const { data: userRow } = await supabase
+    .from('users')
+    .select('is_active')
+    .eq('id', session.user.id)
+    .single();
+
+  if (userRow && userRow.is_active === false) {
+    clearAuthCookies(res);
+    return next(new AppError('This account has been deactivated', 401));
+  }
+
+  const { sessionId, revoked, impersonatorId, expiresAt } = await touchSession(
+    req,
+    session.accessToken,
+    session.user.id
+  );
+
+  if (revoked) {
+    await supabase.auth.admin.signOut(session.accessToken, 'local');
+    clearAuthCookies(res);
+    return next(
+      new AppError('This session was logged out. Please log in again', 401)
+    );
+  }
+
+  req.user = session.user;
+  req.accessToken = session.accessToken;
+  req.sessionId = sessionId;
+
+  // Support session opened by an admin on behalf of this user
+  if (impersonatorId) {
+    req.user.impersonatedBy = impersonatorId;
+    req.impersonationExpiresAt = expiresAt;
+    logImpersonatedRequest(req, res);
+  }
+
   next();
 });
 
-exports.restrictTo = (...roles) => {
+exports.refresh = catchAsync(async (req, res, next) => {
+  const refreshToken = getRefreshToken(req);
+
+  if (!refreshToken) {
+    return next(new AppError('No refresh token provided', 401));
+  }
+
+  const session = await refreshSession(refreshToken);
+
+  if (!session) {
+    clearAuthCookies(res);
+    return next(new AppError('Session expired. Please log in again', 401));
+  }
+
+  // Same check as login and protect: a deactivated account cannot keep its
+  // session alive by refreshing
+  const { data: userRow } = await supabase
+    .from('users')
+    .select('is_active')
+    .eq('id', session.user.id)
+    .single();
+
+  if (userRow && userRow.is_active === false) {
+    await supabase.auth.admin.signOut(session.access_token, 'local');
+    clearAuthCookies(res);
+    return next(new AppError('This account has been deactivated', 401));
+  }
+
+  setAuthCookies(res, session);
+
+  res.status(200).json({
+    status: 'success',
+    token: session.access_token,
+    data: {
+      user: session.user
+    }
+  });
+});
+
+exports.logout = catchAsync(async (req, res, next) => {
+  // Resolve the session even if the access token expired so the refresh
+  // token is revoked server-side and cannot be replayed.
+  const session = await resolveSession(req, res);
+
+  if (session) {
+    const { error } = await supabase.auth.admin.signOut(
+      session.accessToken,
+      'local'
+    );
+    if (error) {
+      console.warn('Failed to revoke session on logout:', error.message);
+    }
+
+    const sessionId = getSessionId(session.accessToken);
+    if (sessionId) await revokeSessions(session.user.id, [sessionId]);
+  }
+
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Logged out successfully'
+  });
+});
+
+// Usage: restrictTo('admin') or restrictTo('instructor', 'admin', { mfa: true }).
+// When ADMIN_REQUIRE_MFA=true, admins passing any restriction must also be
+// using a session that has passed two-factor verification.
+exports.restrictTo = (...args) => {
+  const options = typeof args[args.length - 1] === 'object' ? args.pop() : {};
+  const roles = args;
+
   return catchAsync(async (req, res, next) => {
     const { data: userData, error } = await supabase
       .from('users')
-      .select('role')
+      .select('role, mfa_enabled')
       .eq('id', req.user.id)
       .single();
 
@@ -122,10 +784,235 @@ exports.restrictTo = (...roles) => {
       );
     }
 
+    const requireMfa =
+      options.mfa !== undefined
+        ? options.mfa
+        : process.env.ADMIN_REQUIRE_MFA === 'true' && userData.role === 'admin';
+
+    if (requireMfa) {
+      if (!userData.mfa_enabled) {
+        return next(
+          new AppError(
+            'Two-factor authentication must be enabled to perform this action',
+            403
+          )
+        );
+      }
+
+      const { data: verified } = await supabase
+        .from('mfa_sessions')
+        .select('session_id')
+        .eq('session_id', getSessionId(req.accessToken))
+        .eq('user_id', req.user.id)
+        .single();
+
+      if (!verified) {
+        return next(
+          new AppError(
+            'This action requires a session verified with two-factor authentication. Please log in again',
+            403
+          )
+        );
+      }
+    }
+
     next();
   });
 };
 
+// API keys may only call endpoints whose scopes they were granted. Requests
+// authenticated with a login session are not affected.
+exports.requireScope =
+  (...scopes) =>
+  (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    const missing = scopes.filter(
+      (scope) => !req.apiKey.scopes.includes(scope)
+    );
+    if (missing.length > 0) {
+      return next(
+        new AppError(
+          `This API key is missing the scope: ${missing.join(', ')}`,
+          403
+        )
+      );
+    }
+
+    next();
+  };
+
+// `<resource>:read` for GET requests, `<resource>:write` for everything else
+exports.apiKeyScope = (resource) => (req, res, next) =>
+  exports.requireScope(
+    `${resource}:${req.method === 'GET' ? 'read' : 'write'}`
+  )(req, res, next);
+
+// Payments, credentials and account deletion stay off-limits to admins
+// impersonating a user for support.
+exports.forbidImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonatedBy) {
+    return next(
+      new AppError('This action is not allowed while impersonating a user', 403)
+    );
+  }
+  next();
+};
+
+// Account and credential management always requires an interactive login
+exports.sessionOnly = (req, res, next) => {
+  if (req.apiKey) {
+    return next(
+      new AppError('API keys cannot be used for account management', 403)
+    );
+  }
+  next();
+};
+
+exports.enrollMfa = catchAsync(async (req, res, next) => {
+  const { data: userRow, error } = await supabase
+    .from('users')
+    .select('mfa_enabled')
+    .eq('id', req.user.id)
+    .single();
+
+  if (error || !userRow) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (userRow.mfa_enabled) {
+    return next(
+      new AppError('Two-factor authentication is already enabled', 400)
+    );
+  }
+
+  // The secret stays inactive until the user proves they can generate codes
+  const secret = totp.generateSecret();
+
+  const { error: updateError } = await supabase
+    .from('users')
+    .update({ mfa_secret: secret, mfa_enabled: false })
+    .eq('id', req.user.id);
+
+  if (updateError) {
+    return next(new AppError('Failed to start two-factor enrollment', 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      'Scan the QR code with your authenticator app, then confirm with /mfa/verify',
+    data: {
+      secret,
+      otpauthUrl: totp.keyUri(secret, req.user.email, MFA_ISSUER)
+    }
+  });
+});
+
+exports.verifyMfa = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new AppError('Please provide the code from your app', 400));
+  }
+
+  const { data: userRow, error } = await supabase
+    .from('users')
+    .select('mfa_enabled, mfa_secret')
+    .eq('id', req.user.id)
+    .single();
+
+  if (error || !userRow || !userRow.mfa_secret) {
+    return next(new AppError('Please start two-factor enrollment first', 400));
+  }
+
+  if (userRow.mfa_enabled) {
+    return next(
+      new AppError('Two-factor authentication is already enabled', 400)
+    );
+  }
+
+  if (!totp.verify(userRow.mfa_secret, code)) {
+    return next(new AppError('Invalid two-factor code', 400));
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  const { error: updateError } = await supabase
+    .from('users')
+    .update({
+      mfa_enabled: true,
+      mfa_recovery_codes: recoveryCodes.map(hashRecoveryCode)
+    })
+    .eq('id', req.user.id);
+
+  if (updateError) {
+    return next(
+      new AppError('Failed to enable two-factor authentication', 400)
+    );
+  }
+
+  // The session that completed enrollment has proven both factors
+  await markSessionMfaVerified(req.user.id, req.accessToken);
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+exports.disableMfa = catchAsync(async (req, res, next) => {
+  const { code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    return next(
+      new AppError('Please provide a two-factor code or recovery code', 400)
+    );
+  }
+
+  const { data: userRow, error } = await supabase
+    .from('users')
+    .select('id, mfa_enabled, mfa_secret, mfa_recovery_codes')
+    .eq('id', req.user.id)
+    .single();
+
+  if (error || !userRow || !userRow.mfa_enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  const valid = await verifySecondFactor(userRow, { code, recoveryCode });
+
+  if (!valid) {
+    return next(new AppError('Invalid two-factor code', 401));
+  }
+
+  const { error: updateError } = await supabase
+    .from('users')
+    .update({
+      mfa_enabled: false,
+      mfa_secret: null,
+      mfa_recovery_codes: null
+    })
+    .eq('id', req.user.id);
+
+  if (updateError) {
+    return next(
+      new AppError('Failed to disable two-factor authentication', 400)
+    );
+  }
+
+  await supabase.from('mfa_sessions').delete().eq('user_id', req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled'
+  });
+});
+
 exports.forgotPassword = catchAsync(async (req, res, next) => {
   const { email } = req.body;
 
@@ -157,6 +1044,11 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
     );
   }
 
+  const weakness = validatePassword(newPassword);
+  if (weakness) {
+    return next(new AppError(weakness, 400));
+  }
+
   const { createClient } = require('@supabase/supabase-js');
 
   const supabaseWithToken = createClient(
@@ -185,3 +1077,107 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
     data
   });
 });
+
+exports.updatePassword = catchAsync(async (req, res, next) => {
+  const { passwordCurrent, password, passwordConfirm } = req.body;
+
+  if (!passwordCurrent || !password) {
+    return next(
+      new AppError(
+        'Please provide your current password and a new password',
+        400
+      )
+    );
+  }
+
+  if (passwordConfirm !== undefined && password !== passwordConfirm) {
+    return next(new AppError('Passwords do not match', 400));
+  }
+
+  if (password === passwordCurrent) {
+    return next(
+      new AppError('New password must be different from the current one', 400)
+    );
+  }
+
+  const weakness = validatePassword(password);
+  if (weakness) {
+    return next(new AppError(weakness, 400));
+  }
+
+  // 1) Re-verify the current password
+  const { error: verifyError } = await supabase.auth.signInWithPassword({
+    email: req.user.email,
+    password: passwordCurrent
+  });
+
+  if (verifyError) {
+    return next(new AppError('Your current password is wrong', 401));
+  }
+
+  // A session that passed two-factor verification stays verified on the
+  // fresh session issued below
+  const { data: mfaVerified } = await supabase
+    .from('mfa_sessions')
+    .select('session_id')
+    .eq('session_id', getSessionId(req.accessToken))
+    .eq('user_id', req.user.id)
+    .maybeSingle();
+
+  // 2) Update the password through Supabase auth
+  const { error: updateError } = await supabase.auth.admin.updateUserById(
+    req.user.id,
+    { password }
+  );
+
+  if (updateError) {
+    return next(new AppError(updateError.message, 400));
+  }
+
+  // 3) Revoke every existing session, including the one used for this request
+  const { error: signOutError } = await supabase.auth.admin.signOut(
+    req.accessToken,
+    'global'
+  );
+
+  if (signOutError) {
+    console.warn(
+      'Failed to revoke sessions after password change:',
+      signOutError.message
+    );
+  }
+
+  // 4) Issue a fresh session for the current device
+  const { data, error } = await supabase.auth.signInWithPassword({
+    email: req.user.email,
+    password
+  });
+
+  if (error || !data.session) {
+    clearAuthCookies(res);
+    return next(
+      new AppError(
+        'Password updated. Please log in again with your new password',
+        401
+      )
+    );
+  }
+
+  // The global sign-out above ended every device's session
+  await revokeSessions(req.user.id);
+
+  setAuthCookies(res, data.session);
+  await recordSession(req, data.session);
+  if (mfaVerified) {
+    await markSessionMfaVerified(req.user.id, data.session.access_token);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Password updated successfully',
+    token: data.session.access_token,
+    data: {
+      user: data.user
+    }
+  });
+});
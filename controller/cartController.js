@@ -0,0 +1,239 @@
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const { frontendUrl } = require('./../util/oauthClient');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+// Keeps the course list within Stripe's metadata limits
+const MAX_CART_ITEMS = 10;
+
+// Courses among courseIds the user already has: enrolled in, or bought
+// for themselves (the same check as single-course checkout)
+const ownedCourseIds = async (userId, courseIds) => {
+  if (courseIds.length === 0) return new Set();
+
+  const [{ data: enrollments }, { data: payments }] = await Promise.all([
+    supabase
+      .from('enrollments')
+      .select('course_id')
+      .eq('user_id', userId)
+      .in('course_id', courseIds),
+    supabase
+      .from('payments')
+      .select('course_id')
+      .eq('user_id', userId)
+      .eq('payment_status', 'succeeded')
+      .is('org_id', null)
+      .in('course_id', courseIds)
+  ]);
+
+  return new Set(
+    [...(enrollments || []), ...(payments || [])].map((row) =>
+      String(row.course_id)
+    )
+  );
+};
+
+const isPurchasable = (course) =>
+  !!course && course.published && Number(course.price) > 0;
+
+// Cart items with their courses. Courses that can no longer be bought
+// (unpublished, now free or without a valid price) or that the user already
+// owns are dropped from the cart, so checkout only ever charges for the rest.
+const loadCart = async (userId) => {
+  const { data: items, error } = await supabase
+    .from('cart_items')
+    .select(
+      'course_id, added_at, course:courses(courseid, title, price, image, published)'
+    )
+    .eq('user_id', userId)
+    .order('added_at', { ascending: true });
+
+  if (error) throw new AppError(error.message, 400);
+
+  const owned = await ownedCourseIds(
+    userId,
+    items.map((item) => item.course_id)
+  );
+
+  const stale = items.filter(
+    (item) => !isPurchasable(item.course) || owned.has(String(item.course_id))
+  );
+
+  if (stale.length > 0) {
+    await supabase
+      .from('cart_items')
+      .delete()
+      .eq('user_id', userId)
+      .in(
+        'course_id',
+        stale.map((item) => item.course_id)
+      );
+  }
+
+  return items.filter((item) => !stale.includes(item));
+};
+
+const cartResponse = (items) => ({
+  items,
+  total:
+    Math.round(
+      items.reduce((sum, item) => sum + Number(item.course.price || 0), 0) * 100
+    ) / 100
+});
+
+exports.getMyCart = catchAsync(async (req, res, next) => {
+  const items = await loadCart(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    data: cartResponse(items)
+  });
+});
+
+exports.addToCart = catchAsync(async (req, res, next) => {
+  const { courseId } = req.body;
+
+  if (!courseId) {
+    return next(new AppError('Please provide courseId', 400));
+  }
+
+  const { data: course } = await supabase
+    .from('courses')
+    .select('courseid, price, published, author')
+    .eq('courseid', courseId)
+    .maybeSingle();
+
+  if (!course || !course.published) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  if (String(course.author) === String(req.user.id)) {
+    return next(new AppError('You cannot buy your own course', 400));
+  }
+
+  if (Number(course.price) === 0) {
+    return next(
+      new AppError(
+        'This course is free. Use /api/saas/payment/enroll/:courseId to enroll',
+        400
+      )
+    );
+  }
+
+  if (!isPurchasable(course)) {
+    return next(new AppError('Invalid course price', 400));
+  }
+
+  if ((await ownedCourseIds(req.user.id, [courseId])).size > 0) {
+    return next(new AppError('You have already purchased this course', 400));
+  }
+
+  const items = await loadCart(req.user.id);
+
+  if (items.some((item) => String(item.course_id) === String(courseId))) {
+    return next(new AppError('This course is already in your cart', 400));
+  }
+
+  if (items.length >= MAX_CART_ITEMS) {
+    return next(
+      new AppError(`Your cart can hold at most ${MAX_CART_ITEMS} courses`, 400)
+    );
+  }
+
+  const { error } = await supabase
+    .from('cart_items')
+    .insert([{ user_id: req.user.id, course_id: courseId }]);
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const cart = await loadCart(req.user.id);
+
+  res.status(201).json({
+    status: 'success',
+    results: cart.length,
+    data: cartResponse(cart)
+  });
+});
+
+exports.removeFromCart = catchAsync(async (req, res, next) => {
+  const { error } = await supabase
+    .from('cart_items')
+    .delete()
+    .eq('user_id', req.user.id)
+    .eq('course_id', req.params.courseId);
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const cart = await loadCart(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    results: cart.length,
+    data: cartResponse(cart)
+  });
+});
+
+exports.clearCart = catchAsync(async (req, res, next) => {
+  const { error } = await supabase
+    .from('cart_items')
+    .delete()
+    .eq('user_id', req.user.id);
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// One Stripe session with a line item per course. The webhook (or
+// verifyPayment) creates a payment and an enrollment for each of them.
+exports.getCartCheckoutSession = catchAsync(async (req, res, next) => {
+  const items = await loadCart(req.user.id);
+
+  if (items.length === 0) {
+    return next(new AppError('Your cart is empty', 400));
+  }
+
+  const session = await stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    success_url: frontendUrl('/cart?checkout=success'),
+    cancel_url: frontendUrl('/cart'),
+    customer_email: req.user.email,
+    client_reference_id: req.user.id,
+    line_items: items.map(({ course }) => ({
+      price_data: {
+        currency: 'inr',
+        product_data: {
+          name: course.title,
+          images: course.image ? [course.image] : [],
+          metadata: {
+            course_id: String(course.courseid)
+          }
+        },
+        unit_amount: Math.round(course.price * 100)
+      },
+      quantity: 1
+    })),
+    mode: 'payment',
+    metadata: {
+      type: 'cart',
+      user_id: req.user.id,
+      course_ids: items.map((item) => item.course_id).join(',')
+    }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    session
+  });
+});
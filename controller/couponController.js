@@ -0,0 +1,332 @@
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const { recordAudit } = require('./../util/auditLog');
+const {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  applyCoupon,
+  countRedemptions
+} = require('./../util/coupons');
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+const isAdmin = async (userId) => {
+  const { data } = await supabase
+    .from('users')
+    .select('role')
+    .eq('id', userId)
+    .single();
+  return !!data && data.role === 'admin';
+};
+
+// Validate the editable coupon fields present in body. Returns
+// { fields } or { error }. With partial, only the fields given are checked.
+const parseCouponFields = (body, { partial = false, currentType } = {}) => {
+  const fields = {};
+
+  if (body.discount_type !== undefined || !partial) {
+    if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+      return {
+        error: `discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}`
+      };
+    }
+    fields.discount_type = body.discount_type;
+  }
+
+  if (body.amount !== undefined || !partial) {
+    const amount = Number(body.amount);
+    const type = fields.discount_type || currentType;
+    if (
+      Number.isNaN(amount) ||
+      amount <= 0 ||
+      (type === 'percentage' && amount > 100)
+    ) {
+      return {
+        error:
+          'amount must be a positive number (at most 100 for percentage coupons)'
+      };
+    }
+    fields.amount = amount;
+  }
+
+  if (body.expires_at !== undefined) {
+    if (body.expires_at && Number.isNaN(Date.parse(body.expires_at))) {
+      return { error: 'expires_at must be a valid date' };
+    }
+    fields.expires_at = body.expires_at || null;
+  }
+
+  for (const limit of ['max_redemptions', 'per_user_limit']) {
+    if (body[limit] !== undefined) {
+      const value = body[limit] === null ? null : Number(body[limit]);
+      if (value !== null && (!Number.isInteger(value) || value < 1)) {
+        return { error: `${limit} must be a whole number of at least 1` };
+      }
+      fields[limit] = value;
+    }
+  }
+
+  if (body.active !== undefined) fields.active = !!body.active;
+
+  return { fields };
+};
+
+// Instructors manage coupons for their own courses only; site-wide coupons
+// (no course_id) are admin-only.
+const loadManageableCoupon = async (req, next) => {
+  const { data: coupon } = await supabase
+    .from('coupons')
+    .select('*')
+    .eq('coupon_id', req.params.id)
+    .maybeSingle();
+
+  if (!coupon) {
+    next(new AppError('No coupon found with that ID', 404));
+    return null;
+  }
+
+  if (!(await isAdmin(req.user.id)) && coupon.created_by !== req.user.id) {
+    next(new AppError('No coupon found with that ID', 404));
+    return null;
+  }
+
+  return coupon;
+};
+
+exports.createCoupon = catchAsync(async (req, res, next) => {
+  const code = normalizeCode(req.body.code);
+
+  if (!CODE_PATTERN.test(code)) {
+    return next(
+      new AppError(
+        'code must be 3-32 characters: letters, numbers, - or _',
+        400
+      )
+    );
+  }
+
+  const { fields, error: fieldsError } = parseCouponFields(req.body);
+  if (fieldsError) return next(new AppError(fieldsError, 400));
+
+  const courseId = req.body.course_id || null;
+  const admin = await isAdmin(req.user.id);
+
+  if (!courseId && !admin) {
+    return next(
+      new AppError('Instructors must pick one of their own courses', 400)
+    );
+  }
+
+  if (courseId) {
+    const { data: course } = await supabase
+      .from('courses')
+      .select('courseid, author')
+      .eq('courseid', courseId)
+      .maybeSingle();
+
+    if (!course || (!admin && course.author !== req.user.id)) {
+      return next(
+        new AppError(
+          'No course found with that ID or you are not the author',
+          404
+        )
+      );
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('coupons')
+    .insert([
+      {
+        code,
+        course_id: courseId,
+        per_user_limit: 1,
+        active: true,
+        ...fields,
+        created_by: req.user.id
+      }
+    ])
+    .select();
+
+  if (error) {
+    return next(
+      new AppError(
+        error.code === '23505'
+          ? 'A coupon with this code already exists'
+          : error.message,
+        400
+      )
+    );
+  }
+
+  await recordAudit(req, {
+    action: 'coupon.create',
+    targetType: 'coupon',
+    targetId: data[0].coupon_id,
+    after: data[0]
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      coupon: data[0]
+    }
+  });
+});
+
+// Admins see every coupon, instructors the ones they created
+exports.getCoupons = catchAsync(async (req, res, next) => {
+  let query = supabase
+    .from('coupons')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  if (!(await isAdmin(req.user.id)))
+    query = query.eq('created_by', req.user.id);
+  if (req.query.courseId) query = query.eq('course_id', req.query.courseId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const coupons = await Promise.all(
+    data.map(async (coupon) => ({
+      ...coupon,
+      redemptions: await countRedemptions(coupon.coupon_id)
+    }))
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: coupons.length,
+    data: {
+      coupons
+    }
+  });
+});
+
+exports.updateCoupon = catchAsync(async (req, res, next) => {
+  const coupon = await loadManageableCoupon(req, next);
+  if (!coupon) return;
+
+  const { fields, error: fieldsError } = parseCouponFields(req.body, {
+    partial: true,
+    currentType: coupon.discount_type
+  });
+  if (fieldsError) return next(new AppError(fieldsError, 400));
+
+  if (
+    fields.discount_type === 'percentage' &&
+    fields.amount === undefined &&
+    Number(coupon.amount) > 100
+  ) {
+    return next(
+      new AppError('Percentage coupons need an amount of at most 100', 400)
+    );
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return next(
+      new AppError(
+        'Please provide a field to update (discount_type, amount, expires_at, max_redemptions, per_user_limit or active)',
+        400
+      )
+    );
+  }
+
+  const { data, error } = await supabase
+    .from('coupons')
+    .update(fields)
+    .eq('coupon_id', coupon.coupon_id)
+    .select();
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await recordAudit(req, {
+    action: 'coupon.update',
+    targetType: 'coupon',
+    targetId: coupon.coupon_id,
+    before: coupon,
+    after: data[0]
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      coupon: data[0]
+    }
+  });
+});
+
+// Coupons that were already redeemed are deactivated instead of deleted so
+// payments keep pointing at them
+exports.deleteCoupon = catchAsync(async (req, res, next) => {
+  const coupon = await loadManageableCoupon(req, next);
+  if (!coupon) return;
+
+  const redeemed = (await countRedemptions(coupon.coupon_id)) > 0;
+
+  const { error } = redeemed
+    ? await supabase
+        .from('coupons')
+        .update({ active: false })
+        .eq('coupon_id', coupon.coupon_id)
+    : await supabase.from('coupons').delete().eq('coupon_id', coupon.coupon_id);
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await recordAudit(req, {
+    action: redeemed ? 'coupon.deactivate' : 'coupon.delete',
+    targetType: 'coupon',
+    targetId: coupon.coupon_id,
+    before: coupon
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// Preview what a code does for a course before checkout
+exports.validateCoupon = catchAsync(async (req, res, next) => {
+  const { code, courseId } = req.body;
+
+  if (!code || !courseId) {
+    return next(new AppError('Please provide code and courseId', 400));
+  }
+
+  const { data: course } = await supabase
+    .from('courses')
+    .select('courseid, price')
+    .eq('courseid', courseId)
+    .maybeSingle();
+
+  if (!course) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  const result = await applyCoupon({ code, userId: req.user.id, course });
+
+  if (result.error) {
+    return next(new AppError(result.error, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      code: result.coupon.code,
+      discountType: result.coupon.discount_type,
+      originalAmount: Number(course.price),
+      discount: result.discount,
+      finalAmount: result.finalAmount
+    }
+  });
+});
@@ -3,6 +3,9 @@ const AppError = require('./../util/appError');
 const catchAsync = require('./../util/catchAsync');
 const multer = require('multer');
 const sharp = require('sharp');
+const { recordAudit } = require('./../util/auditLog');
+const { emailUser } = require('./../util/email');
+const { frontendUrl } = require('./../util/oauthClient');
 
 const multerStorage = multer.memoryStorage();
 
@@ -70,11 +73,21 @@ exports.uploadBannerToStorage = catchAsync(async (req, res, next) => {
   next();
 });
 
+// Price 0 is valid: the course is free
+const isValidPrice = (price) =>
+  price !== undefined &&
+  price !== null &&
+  price !== '' &&
+  !Number.isNaN(Number(price)) &&
+  Number(price) >= 0;
+
 exports.userCreateCourse = catchAsync(async (req, res, next) => {
   const { title, price, description, requirements, category } = req.body;
 
-  if (!title || !price) {
-    return next(new AppError('Please provide title and price', 400));
+  if (!title || !isValidPrice(price)) {
+    return next(
+      new AppError('Please provide title and price (0 for a free course)', 400)
+    );
   }
 
   let parsedRequirements = requirements;
@@ -110,6 +123,13 @@ exports.userCreateCourse = catchAsync(async (req, res, next) => {
     return next(new AppError(error.message, 400));
   }
 
+  await recordAudit(req, {
+    action: 'course.create',
+    targetType: 'course',
+    targetId: data[0].courseid,
+    after: data[0]
+  });
+
   res.status(201).json({
     status: 'success',
     message: 'Course created successfully',
@@ -122,16 +142,18 @@ exports.userCreateCourse = catchAsync(async (req, res, next) => {
 exports.getAllCourses = catchAsync(async (req, res, next) => {
   const { data, error } = await supabase
     .from('courses')
-    .select('*, author:users(full_name)')
+    .select('*, author:users(id, full_name)')
     .eq('published', true);
 
   if (error) {
     return next(new AppError(error.message, 400));
   }
 
+  // author_id links to the public instructor profile
   const courses = data.map((course) => ({
     ...course,
-    author: course.author?.full_name || 'Unknown'
+    author: course.author?.full_name || 'Unknown',
+    author_id: course.author?.id || null
   }));
 
   res.status(200).json({
@@ -148,7 +170,7 @@ exports.getCourse = catchAsync(async (req, res, next) => {
 
   const { data, error } = await supabase
     .from('courses')
-    .select('*, author:users(full_name)')
+    .select('*, author:users(id, full_name)')
     .eq('courseid', courseId)
     .single();
 
@@ -158,7 +180,8 @@ exports.getCourse = catchAsync(async (req, res, next) => {
 
   const course = {
     ...data,
-    author: data.author?.full_name || 'Unknown'
+    author: data.author?.full_name || 'Unknown',
+    author_id: data.author?.id || null
   };
 
   res.status(200).json({
@@ -173,7 +196,7 @@ exports.createCourse = catchAsync(async (req, res, next) => {
   const { title, price, author, description, image, requirements, category } =
     req.body;
 
-  if (!title || !price || !author) {
+  if (!title || !isValidPrice(price) || !author) {
     return next(new AppError('Please provide title, price, and author', 400));
   }
 
@@ -196,6 +219,13 @@ exports.createCourse = catchAsync(async (req, res, next) => {
     return next(new AppError(error.message, 400));
   }
 
+  await recordAudit(req, {
+    action: 'course.create',
+    targetType: 'course',
+    targetId: data[0].courseid,
+    after: data[0]
+  });
+
   res.status(201).json({
     status: 'success',
     data: {
@@ -281,6 +311,14 @@ exports.updateCourse = catchAsync(async (req, res, next) => {
       return next(new AppError(msg, 400));
     }
 
+    await recordAudit(req, {
+      action: 'course.update',
+      targetType: 'course',
+      targetId: found.value,
+      before: found.row,
+      after: updated[0]
+    });
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -372,6 +410,14 @@ exports.updateMyCourse = catchAsync(async (req, res, next) => {
       return next(new AppError(msg, 400));
     }
 
+    await recordAudit(req, {
+      action: 'course.update',
+      targetType: 'course',
+      targetId: found.value,
+      before: found.row,
+      after: updated[0]
+    });
+
     res.status(200).json({ status: 'success', data: { course: updated[0] } });
   } catch (e) {
     return next(new AppError(e.message || 'Failed to update course', 400));
@@ -381,6 +427,12 @@ exports.updateMyCourse = catchAsync(async (req, res, next) => {
 exports.deleteCourse = catchAsync(async (req, res, next) => {
   const courseId = req.params.id;
 
+  const { data: before } = await supabase
+    .from('courses')
+    .select('*')
+    .eq('courseid', courseId)
+    .maybeSingle();
+
   const { error } = await supabase
     .from('courses')
     .delete()
@@ -390,6 +442,13 @@ exports.deleteCourse = catchAsync(async (req, res, next) => {
     return next(new AppError('No course found with that ID', 404));
   }
 
+  await recordAudit(req, {
+    action: 'course.delete',
+    targetType: 'course',
+    targetId: courseId,
+    before
+  });
+
   res.status(204).json({
     status: 'success',
     data: null
@@ -418,7 +477,7 @@ exports.publishCourse = catchAsync(async (req, res, next) => {
   const missingFields = [];
 
   if (!course.title) missingFields.push('title');
-  if (!course.price && course.price !== 0) missingFields.push('price');
+  if (!isValidPrice(course.price)) missingFields.push('price');
   if (!course.author) missingFields.push('author');
   if (!course.description) missingFields.push('description');
   if (!course.image) missingFields.push('image');
@@ -448,6 +507,19 @@ exports.publishCourse = catchAsync(async (req, res, next) => {
     );
   }
 
+  await recordAudit(req, {
+    action: 'course.publish',
+    targetType: 'course',
+    targetId: courseId,
+    before: course,
+    after: publishedCourse[0]
+  });
+
+  await emailUser(course.author, 'coursePublished', {
+    courseTitle: course.title,
+    url: frontendUrl(`/courses/${courseId}`)
+  });
+
   res.status(200).json({
     status: 'success',
     message: 'Course published successfully',
@@ -489,6 +561,14 @@ exports.unpublishCourse = catchAsync(async (req, res, next) => {
     );
   }
 
+  await recordAudit(req, {
+    action: 'course.unpublish',
+    targetType: 'course',
+    targetId: courseId,
+    before: course,
+    after: updated[0]
+  });
+
   res.status(200).json({
     status: 'success',
     message: 'Course unpublished successfully',
@@ -0,0 +1,87 @@
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const { queueExport, createDownloadUrl } = require('./../util/dataExport');
+
+// One new export per day is plenty for data portability requests
+const EXPORT_COOLDOWN = 24 * 60 * 60 * 1000;
+
+const formatJob = async (job) => ({
+  exportId: job.export_id,
+  status: job.status,
+  createdAt: job.created_at,
+  completedAt: job.completed_at || null,
+  error: job.status === 'failed' ? job.error : undefined,
+  downloadUrl:
+    job.status === 'completed' && job.file_path
+      ? await createDownloadUrl(job.file_path)
+      : null
+});
+
+// Start an export of the user's data, or return the one already running or
+// finished within the last day.
+exports.requestMyDataExport = catchAsync(async (req, res, next) => {
+  const since = new Date(Date.now() - EXPORT_COOLDOWN).toISOString();
+
+  const { data: recent, error: recentError } = await supabase
+    .from('data_exports')
+    .select('*')
+    .eq('user_id', req.user.id)
+    .neq('status', 'failed')
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (recentError) {
+    return next(new AppError(recentError.message, 400));
+  }
+
+  if (recent && recent.length > 0) {
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        export: await formatJob(recent[0])
+      }
+    });
+  }
+
+  const { data, error } = await supabase
+    .from('data_exports')
+    .insert([{ user_id: req.user.id, status: 'pending' }])
+    .select();
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  queueExport(data[0]);
+
+  res.status(202).json({
+    status: 'success',
+    message:
+      'Your data export has started. Check back shortly for the download link.',
+    data: {
+      export: await formatJob(data[0])
+    }
+  });
+});
+
+exports.getMyDataExport = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('data_exports')
+    .select('*')
+    .eq('export_id', req.params.exportId)
+    .eq('user_id', req.user.id)
+    .single();
+
+  if (error || !data) {
+    return next(new AppError('No export found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      export: await formatJob(data)
+    }
+  });
+});
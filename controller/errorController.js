@@ -59,6 +59,9 @@ module.exports.globalErrorHandler = (err, req, res, next) => {
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
 
+  // Rate-limited responses tell the client when it may retry
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+
   if (process.env.NODE_ENV === 'development') {
     sendErrorDev(err, res);
   } else if (process.env.NODE_ENV === 'production') {
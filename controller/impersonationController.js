@@ -0,0 +1,170 @@
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const { recordAudit } = require('./../util/auditLog');
+const {
+  recordImpersonationSession,
+  revokeSessions
+} = require('./../util/sessionTracker');
+
+const IMPERSONATION_MINUTES = Number(process.env.IMPERSONATION_MINUTES) || 30;
+
+// Admin: open a time-limited support session as another user. The token is
+// returned in the body (never as cookies) so the admin's own login survives,
+// and no refresh token is handed out.
+exports.impersonateUser = catchAsync(async (req, res, next) => {
+  const targetId = req.params.id;
+
+  if (req.user.impersonatedBy) {
+    return next(new AppError('You are already impersonating a user', 400));
+  }
+
+  if (targetId === req.user.id) {
+    return next(new AppError('You cannot impersonate yourself', 400));
+  }
+
+  const { reason } = req.body;
+  if (!reason) {
+    return next(
+      new AppError('Please provide a reason (e.g. the support ticket)', 400)
+    );
+  }
+
+  const { data: target, error: targetError } = await supabase
+    .from('users')
+    .select('id, email, role, is_active')
+    .eq('id', targetId)
+    .single();
+
+  if (targetError || !target) {
+    return next(new AppError('No user found with that id', 404));
+  }
+
+  if (target.role === 'admin') {
+    return next(new AppError('Admins cannot be impersonated', 403));
+  }
+
+  if (target.is_active === false) {
+    return next(new AppError('This account has been deactivated', 400));
+  }
+
+  // Mint a real session for the target through a one-off magic link that
+  // is verified immediately instead of being emailed.
+  const { data: link, error: linkError } =
+    await supabase.auth.admin.generateLink({
+      type: 'magiclink',
+      email: target.email
+    });
+
+  if (linkError || !link.properties?.hashed_token) {
+    return next(
+      new AppError(linkError?.message || 'Unable to start impersonation', 400)
+    );
+  }
+
+  const { data, error } = await supabase.auth.verifyOtp({
+    token_hash: link.properties.hashed_token,
+    type: 'magiclink'
+  });
+
+  if (error || !data.session) {
+    return next(
+      new AppError(error?.message || 'Unable to start impersonation', 400)
+    );
+  }
+
+  const expiresAt = new Date(Date.now() + IMPERSONATION_MINUTES * 60 * 1000);
+  const sessionId = await recordImpersonationSession(
+    req,
+    data.session,
+    req.user.id,
+    expiresAt
+  );
+
+  if (!sessionId) {
+    await supabase.auth.admin.signOut(data.session.access_token, 'local');
+    return next(new AppError('Unable to start impersonation', 400));
+  }
+
+  const { error: logError } = await supabase.from('impersonation_logs').insert([
+    {
+      session_id: sessionId,
+      admin_id: req.user.id,
+      user_id: target.id,
+      method: req.method,
+      path: req.originalUrl,
+      status_code: 201,
+      ip_address: req.ip,
+      reason
+    }
+  ]);
+
+  if (logError) {
+    console.error('Failed to log impersonation start:', logError);
+  }
+
+  await recordAudit(req, {
+    action: 'user.impersonate',
+    targetType: 'user',
+    targetId: target.id,
+    after: { sessionId, expiresAt: expiresAt.toISOString(), reason }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: `Impersonating ${target.email} until ${expiresAt.toISOString()}`,
+    token: data.session.access_token,
+    data: {
+      sessionId,
+      expiresAt,
+      user: data.user
+    }
+  });
+});
+
+// End the impersonation session used for this request
+exports.stopImpersonation = catchAsync(async (req, res, next) => {
+  if (!req.user.impersonatedBy) {
+    return next(new AppError('This is not an impersonation session', 400));
+  }
+
+  await supabase.auth.admin.signOut(req.accessToken, 'local');
+  await revokeSessions(req.user.id, [req.sessionId]);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Impersonation ended'
+  });
+});
+
+// Admin: audit trail of impersonated requests, filterable by admin or user
+exports.getImpersonationLogs = catchAsync(async (req, res, next) => {
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
+
+  let query = supabase
+    .from('impersonation_logs')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range((page - 1) * limit, page * limit - 1);
+
+  if (req.query.adminId) query = query.eq('admin_id', req.query.adminId);
+  if (req.query.userId) query = query.eq('user_id', req.query.userId);
+  if (req.query.sessionId) query = query.eq('session_id', req.query.sessionId);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    total: count,
+    page,
+    data: {
+      logs: data
+    }
+  });
+});
@@ -0,0 +1,288 @@
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const { recordAudit } = require('./../util/auditLog');
+
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Student: apply to become an instructor
+exports.applyForInstructor = catchAsync(async (req, res, next) => {
+  const { bio, sample_url } = req.body;
+
+  if (!bio || !sample_url) {
+    return next(
+      new AppError(
+        'Please provide a bio and a sample_url showing your teaching',
+        400
+      )
+    );
+  }
+
+  const { data: userRow, error: userError } = await supabase
+    .from('users')
+    .select('role')
+    .eq('id', req.user.id)
+    .single();
+
+  if (userError || !userRow) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (userRow.role === 'instructor' || userRow.role === 'admin') {
+    return next(new AppError('You already have instructor access', 400));
+  }
+
+  const { data: pending } = await supabase
+    .from('instructor_applications')
+    .select('application_id')
+    .eq('user_id', req.user.id)
+    .eq('status', 'pending')
+    .maybeSingle();
+
+  if (pending) {
+    return next(
+      new AppError('You already have an application under review', 400)
+    );
+  }
+
+  const { data, error } = await supabase
+    .from('instructor_applications')
+    .insert([
+      {
+        user_id: req.user.id,
+        bio,
+        sample_url,
+        status: 'pending'
+      }
+    ])
+    .select();
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Application submitted. We will notify you once it is reviewed.',
+    data: {
+      application: data[0]
+    }
+  });
+});
+
+// Student: see the status of their own applications
+exports.getMyApplications = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('instructor_applications')
+    .select('*')
+    .eq('user_id', req.user.id)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      applications: data
+    }
+  });
+});
+
+// Admin: review queue, pending applications first by default
+exports.getApplications = catchAsync(async (req, res, next) => {
+  const status = req.query.status || 'pending';
+
+  if (status !== 'all' && !APPLICATION_STATUSES.includes(status)) {
+    return next(
+      new AppError(
+        `Invalid status. Use one of: ${APPLICATION_STATUSES.join(', ')}, all`,
+        400
+      )
+    );
+  }
+
+  let query = supabase
+    .from('instructor_applications')
+    .select(
+      `
+      *,
+      users!instructor_applications_user_id_fkey (
+        full_name,
+        email,
+        image
+      )
+    `
+    )
+    .order('created_at', { ascending: true });
+
+  if (status !== 'all') query = query.eq('status', status);
+
+  const { data, error } = await query;
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      applications: data
+    }
+  });
+});
+
+// Admin: approve or reject an application
+exports.reviewApplication = catchAsync(async (req, res, next) => {
+  const { decision, note } = req.body;
+
+  if (!['approve', 'reject'].includes(decision)) {
+    return next(
+      new AppError("Please provide decision as 'approve' or 'reject'", 400)
+    );
+  }
+
+  const { data: application, error: fetchError } = await supabase
+    .from('instructor_applications')
+    .select('*')
+    .eq('application_id', req.params.id)
+    .single();
+
+  if (fetchError || !application) {
+    return next(new AppError('No application found with that ID', 404));
+  }
+
+  if (application.status !== 'pending') {
+    return next(
+      new AppError(`This application was already ${application.status}`, 400)
+    );
+  }
+
+  if (decision === 'approve') {
+    const { error: roleError } = await supabase
+      .from('users')
+      .update({ role: 'instructor' })
+      .eq('id', application.user_id);
+
+    if (roleError) {
+      return next(
+        new AppError(
+          `Failed to grant instructor role: ${roleError.message}`,
+          400
+        )
+      );
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('instructor_applications')
+    .update({
+      status: decision === 'approve' ? 'approved' : 'rejected',
+      review_note: note || null,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString()
+    })
+    .eq('application_id', application.application_id)
+    .select();
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await recordAudit(req, {
+    action: `instructor_application.${decision}`,
+    targetType: 'instructor_application',
+    targetId: application.application_id,
+    before: application,
+    after: data[0]
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: `Application ${data[0].status}`,
+    data: {
+      application: data[0]
+    }
+  });
+});
+
+// Public: instructor profile with published courses and teaching stats
+exports.getInstructorProfile = catchAsync(async (req, res, next) => {
+  const { data: instructor, error } = await supabase
+    .from('users')
+    .select(
+      'id, full_name, image, bio, headline, social_links, role, is_active'
+    )
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (
+    error ||
+    !instructor ||
+    instructor.is_active === false ||
+    !['instructor', 'admin'].includes(instructor.role)
+  ) {
+    return next(new AppError('No instructor found with that ID', 404));
+  }
+
+  const { data: courses, error: coursesError } = await supabase
+    .from('courses')
+    .select('courseid, title, image, price, category, ratingavg, reviews')
+    .eq('author', instructor.id)
+    .eq('published', true)
+    .order('created_at', { ascending: false });
+
+  if (coursesError) {
+    return next(new AppError(coursesError.message, 400));
+  }
+
+  let totalStudents = 0;
+  const courseIds = courses.map((course) => course.courseid);
+
+  if (courseIds.length > 0) {
+    const { data: enrollments, error: enrollmentsError } = await supabase
+      .from('enrollments')
+      .select('user_id')
+      .in('course_id', courseIds);
+
+    if (enrollmentsError) {
+      return next(new AppError(enrollmentsError.message, 400));
+    }
+
+    totalStudents = new Set(enrollments.map((e) => e.user_id)).size;
+  }
+
+  // Average across all reviews of all courses, not an average of averages
+  const totalReviews = courses.reduce((sum, c) => sum + (c.reviews || 0), 0);
+  const averageRating =
+    totalReviews > 0
+      ? courses.reduce(
+          (sum, c) => sum + Number(c.ratingavg || 0) * (c.reviews || 0),
+          0
+        ) / totalReviews
+      : 0;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      instructor: {
+        id: instructor.id,
+        full_name: instructor.full_name,
+        image: instructor.image,
+        bio: instructor.bio,
+        headline: instructor.headline,
+        social_links: instructor.social_links || {}
+      },
+      stats: {
+        totalCourses: courses.length,
+        totalStudents,
+        totalReviews,
+        averageRating: averageRating.toFixed(1)
+      },
+      courses
+    }
+  });
+});
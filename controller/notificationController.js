@@ -0,0 +1,177 @@
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const {
+  NOTIFICATION_TYPES,
+  CHANNELS,
+  getPreferences,
+  mergePreferences
+} = require('./../util/notifications');
+
+// Inbox, newest first. ?unread=true for unread only; ?page=&limit= to page.
+exports.getMyNotifications = catchAsync(async (req, res, next) => {
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+
+  let query = supabase
+    .from('notifications')
+    .select('*', { count: 'exact' })
+    .eq('user_id', req.user.id)
+    .order('created_at', { ascending: false })
+    .range((page - 1) * limit, page * limit - 1);
+
+  if (req.query.unread === 'true') query = query.is('read_at', null);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    total: count,
+    page,
+    data: {
+      notifications: data
+    }
+  });
+});
+
+exports.getUnreadCount = catchAsync(async (req, res, next) => {
+  const { count, error } = await supabase
+    .from('notifications')
+    .select('notification_id', { count: 'exact', head: true })
+    .eq('user_id', req.user.id)
+    .is('read_at', null);
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      unread: count || 0
+    }
+  });
+});
+
+exports.markRead = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('notification_id', req.params.id)
+    .eq('user_id', req.user.id)
+    .select();
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  if (!data || data.length === 0) {
+    return next(new AppError('No notification found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      notification: data[0]
+    }
+  });
+});
+
+exports.markAllRead = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', req.user.id)
+    .is('read_at', null)
+    .select('notification_id');
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `${data.length} notification(s) marked as read`
+  });
+});
+
+exports.getMyPreferences = catchAsync(async (req, res, next) => {
+  const preferences = await getPreferences(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      preferences,
+      types: Object.fromEntries(
+        Object.entries(NOTIFICATION_TYPES).map(([type, { description }]) => [
+          type,
+          description
+        ])
+      ),
+      channels: CHANNELS
+    }
+  });
+});
+
+// Body: { preferences: { 'course.new_video': { email: true }, ... } }
+exports.updateMyPreferences = catchAsync(async (req, res, next) => {
+  const { preferences } = req.body;
+
+  if (!preferences || typeof preferences !== 'object') {
+    return next(new AppError('Please provide a preferences object', 400));
+  }
+
+  for (const [type, channels] of Object.entries(preferences)) {
+    if (!NOTIFICATION_TYPES[type]) {
+      return next(new AppError(`Unknown notification type: ${type}`, 400));
+    }
+    if (!channels || typeof channels !== 'object') {
+      return next(
+        new AppError(`Preferences for ${type} must be an object`, 400)
+      );
+    }
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+        return next(
+          new AppError(
+            `Invalid preference ${type}.${channel}. Channels: ${CHANNELS.join(', ')}; values must be true or false`,
+            400
+          )
+        );
+      }
+    }
+  }
+
+  const { data: existing } = await supabase
+    .from('notification_preferences')
+    .select('preferences')
+    .eq('user_id', req.user.id)
+    .maybeSingle();
+
+  const stored = (existing && existing.preferences) || {};
+  Object.entries(preferences).forEach(([type, channels]) => {
+    stored[type] = { ...(stored[type] || {}), ...channels };
+  });
+
+  const { error } = await supabase
+    .from('notification_preferences')
+    .upsert([{ user_id: req.user.id, preferences: stored }], {
+      onConflict: 'user_id'
+    });
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      preferences: mergePreferences(stored)
+    }
+  });
+});
@@ -0,0 +1,846 @@
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const { recordAudit } = require('./../util/auditLog');
+const { frontendUrl } = require('./../util/oauthClient');
+const { notify } = require('./../util/notifications');
+const {
+  ORG_ROLES,
+  seatSummary,
+  claimSeat,
+  releaseSeat,
+  revokeAssignment
+} = require('./../util/organizations');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const MAX_SEATS_PER_PURCHASE = 1000;
+const INVITE_TTL_DAYS = 14;
+
+// Load the caller's membership of :orgId and require one of the given org
+// roles (any role when none are given). Site admins act as owners.
+exports.requireOrgRole = (...roles) =>
+  catchAsync(async (req, res, next) => {
+    const { data: org } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('org_id', req.params.orgId)
+      .maybeSingle();
+
+    if (!org) {
+      return next(new AppError('No organization found with that ID', 404));
+    }
+
+    const { data: membership } = await supabase
+      .from('organization_members')
+      .select('role')
+      .eq('org_id', org.org_id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    const { data: userRow } = await supabase
+      .from('users')
+      .select('role')
+      .eq('id', req.user.id)
+      .single();
+
+    const orgRole =
+      userRow && userRow.role === 'admin'
+        ? 'owner'
+        : membership && membership.role;
+
+    if (!orgRole) {
+      return next(new AppError('No organization found with that ID', 404));
+    }
+
+    if (roles.length > 0 && !roles.includes(orgRole)) {
+      return next(
+        new AppError(
+          'You do not have permission to perform this action in this organization',
+          403
+        )
+      );
+    }
+
+    req.organization = org;
+    req.orgRole = orgRole;
+    next();
+  });
+
+exports.createOrganization = catchAsync(async (req, res, next) => {
+  const name = req.body.name && String(req.body.name).trim();
+
+  if (!name) {
+    return next(new AppError('Please provide the organization name', 400));
+  }
+
+  const { data, error } = await supabase
+    .from('organizations')
+    .insert([{ name, created_by: req.user.id }])
+    .select();
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const { error: memberError } = await supabase
+    .from('organization_members')
+    .insert([{ org_id: data[0].org_id, user_id: req.user.id, role: 'owner' }]);
+
+  if (memberError) {
+    await supabase.from('organizations').delete().eq('org_id', data[0].org_id);
+    return next(new AppError(memberError.message, 400));
+  }
+
+  await recordAudit(req, {
+    action: 'organization.create',
+    targetType: 'organization',
+    targetId: data[0].org_id,
+    after: data[0]
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      organization: data[0]
+    }
+  });
+});
+
+exports.getMyOrganizations = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('role, organization:organizations(*)')
+    .eq('user_id', req.user.id);
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      organizations: data.map((m) => ({ ...m.organization, myRole: m.role }))
+    }
+  });
+});
+
+exports.getOrganization = catchAsync(async (req, res, next) => {
+  const licenses = await seatSummary(req.organization.org_id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      organization: req.organization,
+      myRole: req.orgRole,
+      licenses
+    }
+  });
+});
+
+exports.updateOrganization = catchAsync(async (req, res, next) => {
+  const name = req.body.name && String(req.body.name).trim();
+
+  if (!name) {
+    return next(new AppError('Please provide the organization name', 400));
+  }
+
+  const { data, error } = await supabase
+    .from('organizations')
+    .update({ name })
+    .eq('org_id', req.organization.org_id)
+    .select();
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await recordAudit(req, {
+    action: 'organization.update',
+    targetType: 'organization',
+    targetId: req.organization.org_id,
+    before: req.organization,
+    after: data[0]
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      organization: data[0]
+    }
+  });
+});
+
+exports.getMembers = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select(
+      'user_id, role, created_at, user:users(id, full_name, email, image)'
+    )
+    .eq('org_id', req.organization.org_id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      members: data
+    }
+  });
+});
+
+// Invitations older than this can no longer be accepted
+const inviteCutoff = () =>
+  new Date(Date.now() - INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+// Managers can invite members; only owners can invite managers and owners.
+// The person joins once they accept. The response is the same whether or
+// not the email has an account, so it cannot be used to look accounts up.
+exports.addMember = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+  const role = req.body.role || 'member';
+
+  if (!email) {
+    return next(new AppError('Please provide the email of the member', 400));
+  }
+
+  if (!ORG_ROLES.includes(role)) {
+    return next(
+      new AppError(`role must be one of: ${ORG_ROLES.join(', ')}`, 400)
+    );
+  }
+
+  if (role !== 'member' && req.orgRole !== 'owner') {
+    return next(
+      new AppError('Only owners can add managers or other owners', 403)
+    );
+  }
+
+  const orgId = req.organization.org_id;
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('id')
+    .eq('email', String(email).trim().toLowerCase())
+    .maybeSingle();
+
+  const { data: member } = user
+    ? await supabase
+        .from('organization_members')
+        .select('user_id')
+        .eq('org_id', orgId)
+        .eq('user_id', user.id)
+        .maybeSingle()
+    : { data: null };
+
+  const { data: pending } = user
+    ? await supabase
+        .from('organization_invites')
+        .select('invite_id')
+        .eq('org_id', orgId)
+        .eq('user_id', user.id)
+        .eq('status', 'pending')
+        .gte('created_at', inviteCutoff())
+        .maybeSingle()
+    : { data: null };
+
+  if (user && !member && !pending) {
+    const { data, error } = await supabase
+      .from('organization_invites')
+      .insert([
+        {
+          org_id: orgId,
+          user_id: user.id,
+          role,
+          invited_by: req.user.id,
+          status: 'pending'
+        }
+      ])
+      .select();
+
+    if (error) {
+      return next(new AppError(error.message, 400));
+    }
+
+    await recordAudit(req, {
+      action: 'organization.member.invite',
+      targetType: 'organization',
+      targetId: orgId,
+      after: data[0]
+    });
+
+    notify(user.id, 'organization.invite', {
+      title: `You were invited to join ${req.organization.name}`,
+      body: `Accept the invitation to join as ${role}.`,
+      link: '/organizations/invites',
+      data: { org_id: orgId, invite_id: data[0].invite_id }
+    });
+  }
+
+  res.status(202).json({
+    status: 'success',
+    message:
+      'If that email belongs to an account, an invitation has been sent to it'
+  });
+});
+
+exports.getMyInvites = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('organization_invites')
+    .select(
+      'invite_id, role, created_at, organization:organizations(org_id, name)'
+    )
+    .eq('user_id', req.user.id)
+    .eq('status', 'pending')
+    .gte('created_at', inviteCutoff())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      invites: data
+    }
+  });
+});
+
+// Close one of the caller's pending invitations. Guarded on the status, so
+// an invitation is only ever accepted or declined once.
+const respondToInvite = async (req, status) => {
+  const { data, error } = await supabase
+    .from('organization_invites')
+    .update({ status, responded_at: new Date().toISOString() })
+    .eq('invite_id', req.params.inviteId)
+    .eq('user_id', req.user.id)
+    .eq('status', 'pending')
+    .gte('created_at', inviteCutoff())
+    .select();
+
+  if (error) throw new AppError(error.message, 400);
+  if (data.length === 0) {
+    throw new AppError('No pending invitation found with that ID', 404);
+  }
+  return data[0];
+};
+
+exports.acceptInvite = catchAsync(async (req, res, next) => {
+  const invite = await respondToInvite(req, 'accepted');
+
+  const { data, error } = await supabase
+    .from('organization_members')
+    .insert([
+      { org_id: invite.org_id, user_id: req.user.id, role: invite.role }
+    ])
+    .select();
+
+  if (error && error.code !== '23505') {
+    return next(new AppError(error.message, 400));
+  }
+
+  if (data) {
+    await recordAudit(req, {
+      action: 'organization.member.add',
+      targetType: 'organization',
+      targetId: invite.org_id,
+      after: data[0]
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      member: data ? data[0] : null
+    }
+  });
+});
+
+exports.declineInvite = catchAsync(async (req, res, next) => {
+  await respondToInvite(req, 'declined');
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+const countOwners = async (orgId) => {
+  const { count } = await supabase
+    .from('organization_members')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('org_id', orgId)
+    .eq('role', 'owner');
+  return count || 0;
+};
+
+// Owners only
+exports.updateMemberRole = catchAsync(async (req, res, next) => {
+  const { role } = req.body;
+
+  if (!ORG_ROLES.includes(role)) {
+    return next(
+      new AppError(`role must be one of: ${ORG_ROLES.join(', ')}`, 400)
+    );
+  }
+
+  const { data: member } = await supabase
+    .from('organization_members')
+    .select('*')
+    .eq('org_id', req.organization.org_id)
+    .eq('user_id', req.params.userId)
+    .maybeSingle();
+
+  if (!member) {
+    return next(new AppError('No member found with that ID', 404));
+  }
+
+  if (
+    member.role === 'owner' &&
+    role !== 'owner' &&
+    (await countOwners(req.organization.org_id)) <= 1
+  ) {
+    return next(
+      new AppError('An organization must keep at least one owner', 400)
+    );
+  }
+
+  const { data, error } = await supabase
+    .from('organization_members')
+    .update({ role })
+    .eq('org_id', req.organization.org_id)
+    .eq('user_id', req.params.userId)
+    .select();
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await recordAudit(req, {
+    action: 'organization.member.update',
+    targetType: 'organization',
+    targetId: req.organization.org_id,
+    before: member,
+    after: data[0]
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      member: data[0]
+    }
+  });
+});
+
+// Removing someone also revokes every seat they hold
+exports.removeMember = catchAsync(async (req, res, next) => {
+  const { data: member } = await supabase
+    .from('organization_members')
+    .select('*')
+    .eq('org_id', req.organization.org_id)
+    .eq('user_id', req.params.userId)
+    .maybeSingle();
+
+  if (!member) {
+    return next(new AppError('No member found with that ID', 404));
+  }
+
+  if (member.role !== 'member' && req.orgRole !== 'owner') {
+    return next(
+      new AppError('Only owners can remove managers or other owners', 403)
+    );
+  }
+
+  if (
+    member.role === 'owner' &&
+    (await countOwners(req.organization.org_id)) <= 1
+  ) {
+    return next(
+      new AppError('An organization must keep at least one owner', 400)
+    );
+  }
+
+  const { data: assignments } = await supabase
+    .from('seat_assignments')
+    .select('*')
+    .eq('org_id', req.organization.org_id)
+    .eq('user_id', member.user_id)
+    .is('revoked_at', null);
+
+  for (const assignment of assignments || []) {
+    await revokeAssignment(assignment);
+  }
+
+  const { error } = await supabase
+    .from('organization_members')
+    .delete()
+    .eq('org_id', req.organization.org_id)
+    .eq('user_id', member.user_id);
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await recordAudit(req, {
+    action: 'organization.member.remove',
+    targetType: 'organization',
+    targetId: req.organization.org_id,
+    before: member
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+exports.getLicenses = catchAsync(async (req, res, next) => {
+  const licenses = await seatSummary(req.organization.org_id);
+
+  res.status(200).json({
+    status: 'success',
+    results: licenses.length,
+    data: {
+      licenses
+    }
+  });
+});
+
+// Stripe checkout for N seats of a course. Fulfilled by the webhook (or
+// verifyPayment) through fulfilSeatPurchase.
+exports.getSeatCheckoutSession = catchAsync(async (req, res, next) => {
+  const { courseId } = req.body;
+  const seats = Number(req.body.seats);
+
+  if (!courseId) {
+    return next(new AppError('Please provide courseId', 400));
+  }
+
+  if (!Number.isInteger(seats) || seats < 1 || seats > MAX_SEATS_PER_PURCHASE) {
+    return next(
+      new AppError(
+        `seats must be a whole number between 1 and ${MAX_SEATS_PER_PURCHASE}`,
+        400
+      )
+    );
+  }
+
+  const { data: course, error: courseError } = await supabase
+    .from('courses')
+    .select('courseid, title, description, price, image, published')
+    .eq('courseid', courseId)
+    .single();
+
+  if (courseError || !course || !course.published) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  if (!course.price || course.price <= 0) {
+    return next(new AppError('Invalid course price', 400));
+  }
+
+  const orgId = req.organization.org_id;
+
+  const session = await stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    success_url: frontendUrl(`/organizations/${orgId}?purchase=success`),
+    cancel_url: frontendUrl(`/organizations/${orgId}`),
+    customer_email: req.user.email,
+    client_reference_id: courseId,
+    line_items: [
+      {
+        price_data: {
+          currency: 'inr',
+          product_data: {
+            name: `${course.title} (team seat)`,
+            description: course.description || 'Course seat',
+            images: course.image ? [course.image] : []
+          },
+          unit_amount: Math.round(course.price * 100)
+        },
+        quantity: seats
+      }
+    ],
+    mode: 'payment',
+    metadata: {
+      type: 'org_seats',
+      org_id: orgId,
+      course_id: courseId,
+      seats: String(seats),
+      user_id: req.user.id
+    }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    session
+  });
+});
+
+// Give a member a seat: creates their enrollment in the course
+exports.assignSeat = catchAsync(async (req, res, next) => {
+  const { courseId, userId } = req.body;
+  const orgId = req.organization.org_id;
+
+  if (!courseId || !userId) {
+    return next(new AppError('Please provide courseId and userId', 400));
+  }
+
+  const { data: member } = await supabase
+    .from('organization_members')
+    .select('user_id')
+    .eq('org_id', orgId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!member) {
+    return next(
+      new AppError('Seats can only be assigned to organization members', 400)
+    );
+  }
+
+  const { data: enrolled } = await supabase
+    .from('enrollments')
+    .select('enrollment_id')
+    .eq('user_id', userId)
+    .eq('course_id', courseId)
+    .maybeSingle();
+
+  if (enrolled) {
+    return next(
+      new AppError('This member is already enrolled in the course', 400)
+    );
+  }
+
+  const license = await claimSeat(orgId, courseId);
+
+  if (!license) {
+    return next(
+      new AppError('No free seats left for this course. Buy more seats', 400)
+    );
+  }
+
+  const { data: enrollment, error: enrollmentError } = await supabase
+    .from('enrollments')
+    .insert([
+      {
+        user_id: userId,
+        course_id: courseId,
+        enrollment_date: new Date().toISOString()
+      }
+    ])
+    .select();
+
+  if (enrollmentError) {
+    await releaseSeat(license.license_id);
+    return next(new AppError(enrollmentError.message, 400));
+  }
+
+  const { data, error } = await supabase
+    .from('seat_assignments')
+    .insert([
+      {
+        org_id: orgId,
+        course_id: courseId,
+        license_id: license.license_id,
+        user_id: userId,
+        enrollment_id: enrollment[0].enrollment_id,
+        assigned_by: req.user.id
+      }
+    ])
+    .select();
+
+  if (error) {
+    await supabase
+      .from('enrollments')
+      .delete()
+      .eq('enrollment_id', enrollment[0].enrollment_id);
+    await releaseSeat(license.license_id);
+    return next(new AppError(error.message, 400));
+  }
+
+  await recordAudit(req, {
+    action: 'organization.seat.assign',
+    targetType: 'organization',
+    targetId: orgId,
+    after: data[0]
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      assignment: data[0]
+    }
+  });
+});
+
+exports.getSeatAssignments = catchAsync(async (req, res, next) => {
+  let query = supabase
+    .from('seat_assignments')
+    .select('*, user:users(id, full_name, email)')
+    .eq('org_id', req.organization.org_id)
+    .is('revoked_at', null)
+    .order('assigned_at', { ascending: false });
+
+  if (req.query.courseId) query = query.eq('course_id', req.query.courseId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      assignments: data
+    }
+  });
+});
+
+// Take a seat back: the enrollment it created is removed and the seat is
+// free to assign again
+exports.revokeSeat = catchAsync(async (req, res, next) => {
+  const { data: assignment } = await supabase
+    .from('seat_assignments')
+    .select('*')
+    .eq('assignment_id', req.params.assignmentId)
+    .eq('org_id', req.organization.org_id)
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (!assignment) {
+    return next(new AppError('No active seat found with that ID', 404));
+  }
+
+  await revokeAssignment(assignment);
+
+  await recordAudit(req, {
+    action: 'organization.seat.revoke',
+    targetType: 'organization',
+    targetId: req.organization.org_id,
+    before: assignment
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// Manager dashboard: every seat holder's progress through their course(s)
+exports.getProgressDashboard = catchAsync(async (req, res, next) => {
+  const orgId = req.organization.org_id;
+
+  const { data: assignments, error } = await supabase
+    .from('seat_assignments')
+    .select(
+      'assignment_id, course_id, user_id, assigned_at, user:users(id, full_name, email)'
+    )
+    .eq('org_id', orgId)
+    .is('revoked_at', null);
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const courseIds = [...new Set(assignments.map((a) => a.course_id))];
+  const userIds = [...new Set(assignments.map((a) => a.user_id))];
+
+  const { data: videos } = courseIds.length
+    ? await supabase
+        .from('videos')
+        .select('video_id, in_course')
+        .in('in_course', courseIds)
+    : { data: [] };
+
+  const { data: courses } = courseIds.length
+    ? await supabase
+        .from('courses')
+        .select('courseid, title')
+        .in('courseid', courseIds)
+    : { data: [] };
+
+  const videoIds = (videos || []).map((v) => v.video_id);
+
+  const { data: progress } =
+    videoIds.length && userIds.length
+      ? await supabase
+          .from('video_progress')
+          .select('user_id, video_id, status, watched_seconds, updated_at')
+          .in('user_id', userIds)
+          .in('video_id', videoIds)
+      : { data: [] };
+
+  const courseOfVideo = {};
+  const videosPerCourse = {};
+  (videos || []).forEach((v) => {
+    courseOfVideo[v.video_id] = v.in_course;
+    videosPerCourse[v.in_course] = (videosPerCourse[v.in_course] || 0) + 1;
+  });
+
+  const titles = {};
+  (courses || []).forEach((c) => {
+    titles[c.courseid] = c.title;
+  });
+
+  // Progress rows grouped by user and course
+  const stats = {};
+  (progress || []).forEach((p) => {
+    const key = `${p.user_id}:${courseOfVideo[p.video_id]}`;
+    stats[key] = stats[key] || {
+      completed: 0,
+      started: 0,
+      watchedSeconds: 0,
+      lastActivity: null
+    };
+    const entry = stats[key];
+    entry.started += 1;
+    if (p.status === 'completed') entry.completed += 1;
+    entry.watchedSeconds += Number(p.watched_seconds) || 0;
+    if (!entry.lastActivity || p.updated_at > entry.lastActivity) {
+      entry.lastActivity = p.updated_at;
+    }
+  });
+
+  const members = assignments.map((a) => {
+    const entry = stats[`${a.user_id}:${a.course_id}`] || {
+      completed: 0,
+      started: 0,
+      watchedSeconds: 0,
+      lastActivity: null
+    };
+    const totalVideos = videosPerCourse[a.course_id] || 0;
+
+    return {
+      assignmentId: a.assignment_id,
+      user: a.user,
+      courseId: a.course_id,
+      courseTitle: titles[a.course_id] || null,
+      assignedAt: a.assigned_at,
+      totalVideos,
+      videosStarted: entry.started,
+      videosCompleted: entry.completed,
+      watchedSeconds: entry.watchedSeconds,
+      percentComplete: totalVideos
+        ? Math.round((entry.completed / totalVideos) * 100)
+        : 0,
+      lastActivity: entry.lastActivity
+    };
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: members.length,
+    data: {
+      members
+    }
+  });
+});
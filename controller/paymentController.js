@@ -1,8 +1,107 @@
 const { supabase } = require('./../util/supabaseclient');
 const AppError = require('./../util/appError');
 const catchAsync = require('./../util/catchAsync');
+const { fulfilSeatPurchase } = require('./../util/organizations');
+const {
+  hasActiveSubscription,
+  syncSubscription,
+  handleBillingEvent
+} = require('./../util/subscriptions');
+const { applyCoupon, overRedeemed } = require('./../util/coupons');
+const { handleChargeEvent } = require('./../util/refunds');
+const {
+  fulfilCoursePurchase,
+  fulfilCartCheckout,
+  claimEvent,
+  completeEvent,
+  releaseEvent
+} = require('./../util/fulfilment');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
+// Smallest amount Stripe will charge in INR
+const MIN_CHARGE_INR = 0.5;
+
+// Enrollment plus a zero-amount payment row, so enrollments that cost
+// nothing (free courses, 100% coupons) still show up in payment reports
+const enrollWithoutCharge = async (userId, courseId, paymentFields = {}) => {
+  const { data: enrollment, error: enrollmentError } = await supabase
+    .from('enrollments')
+    .insert([
+      {
+        user_id: userId,
+        course_id: courseId,
+        enrollment_date: new Date().toISOString()
+      }
+    ])
+    .select();
+
+  if (enrollmentError) {
+    throw new AppError(enrollmentError.message, 400);
+  }
+
+  const { data: payment, error: paymentError } = await supabase
+    .from('payments')
+    .insert([
+      {
+        user_id: userId,
+        course_id: courseId,
+        amount: 0,
+        payment_status: 'succeeded',
+        ...paymentFields
+      }
+    ])
+    .select();
+
+  if (paymentError) {
+    console.error('Failed to record zero-amount payment:', paymentError);
+  }
+
+  return { enrollment: enrollment[0], payment: payment ? payment[0] : null };
+};
+
+// Checkout sessions that completed: grant what was bought
+const handleCompletedCheckout = async (session) => {
+  // Plan checkouts: record the subscription straight away rather than
+  // waiting for customer.subscription.created
+  if (session.mode === 'subscription') {
+    if (session.subscription) {
+      await syncSubscription(
+        await stripe.subscriptions.retrieve(session.subscription)
+      );
+    }
+    return;
+  }
+
+  // Only handle paid sessions
+  if (session.payment_status !== 'paid') return;
+
+  // Team seat purchases grant seats to an organization, not an enrollment
+  if (session.metadata?.type === 'org_seats') {
+    await fulfilSeatPurchase(session);
+    return;
+  }
+
+  // Cart checkouts cover several courses in one session
+  if (session.metadata?.type === 'cart') {
+    await fulfilCartCheckout(session);
+    return;
+  }
+
+  if (
+    !(session.client_reference_id || session.metadata?.course_id) ||
+    !session.metadata?.user_id
+  ) {
+    console.warn('Webhook session missing metadata:', session.id);
+    return;
+  }
+
+  await fulfilCoursePurchase(session);
+  console.log(
+    'Webhook processed: enrollment fulfilled for session',
+    session.id
+  );
+};
+
 // Webhook handler for Stripe checkout events (unprotected)
 exports.webhookCheckout = async (req, res, next) => {
   const sig = req.headers['stripe-signature'];
@@ -16,86 +115,46 @@ exports.webhookCheckout = async (req, res, next) => {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the checkout.session.completed event
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-
-    try {
-      // Only handle paid sessions
-      if (session.payment_status !== 'paid') {
-        return res.status(200).json({ received: true });
-      }
-
-      const courseId =
-        session.client_reference_id || session.metadata?.course_id;
-      const userId = session.metadata?.user_id;
-      const amount = (session.amount_total || 0) / 100;
-
-      if (!courseId || !userId) {
-        console.warn('Webhook session missing metadata:', session.id);
-        return res.status(200).json({ received: true });
-      }
-
-      // Check if payment already recorded
-      const { data: existingPayment } = await supabase
-        .from('payments')
-        .select('payment_id')
-        .eq('stripe_session_id', session.id)
-        .single();
-
-      if (existingPayment) {
-        console.log('Payment already exists for session', session.id);
-        return res.status(200).json({ received: true });
-      }
+  let claim;
+  try {
+    claim = await claimEvent(event);
+  } catch (err) {
+    console.error('Could not claim Stripe event:', err);
+    return res.status(500).send('Internal Server Error');
+  }
 
-      // Insert payment
-      const { data: payment, error: paymentError } = await supabase
-        .from('payments')
-        .insert([
-          {
-            user_id: userId,
-            course_id: courseId,
-            amount: amount,
-            payment_status: 'succeeded',
-            stripe_session_id: session.id
-          }
-        ])
-        .select();
-
-      if (paymentError) {
-        console.error('Failed to insert payment from webhook:', paymentError);
-      }
+  if (claim === 'processed') {
+    console.log('Ignoring replayed Stripe event', event.id);
+    return res.status(200).json({ received: true });
+  }
 
-      // Insert enrollment
-      const { data: enrollment, error: enrollmentError } = await supabase
-        .from('enrollments')
-        .insert([
-          {
-            user_id: userId,
-            course_id: courseId,
-            enrollment_date: new Date().toISOString()
-          }
-        ])
-        .select();
-
-      if (enrollmentError) {
-        console.error(
-          'Failed to insert enrollment from webhook:',
-          enrollmentError
-        );
-      }
+  // Another delivery is still working on it; a non-2xx makes Stripe retry
+  // in case that attempt fails
+  if (claim === 'in_progress') {
+    return res.status(409).send('Event is already being processed');
+  }
 
-      console.log(
-        'Webhook processed: payment and enrollment created for session',
-        session.id
-      );
-      return res.status(200).json({ received: true });
-    } catch (err) {
-      console.error('Error processing webhook:', err);
-      return res.status(500).send('Internal Server Error');
+  try {
+    if (event.type === 'checkout.session.completed') {
+      await handleCompletedCheckout(event.data.object);
+    } else if (
+      // Subscription lifecycle and renewal invoices
+      event.type.startsWith('customer.subscription.') ||
+      event.type.startsWith('invoice.')
+    ) {
+      await handleBillingEvent(event);
+    } else if (event.type.startsWith('charge.')) {
+      // Refunds and disputes take access away again
+      await handleChargeEvent(event);
     }
+  } catch (err) {
+    console.error('Error processing webhook:', err);
+    await releaseEvent(event.id);
+    return res.status(500).send('Internal Server Error');
   }
 
+  await completeEvent(event.id);
+
   // Respond to other events with 200
   res.status(200).json({ received: true });
 };
@@ -113,7 +172,16 @@ exports.getCheckoutSession = catchAsync(async (req, res, next) => {
     return next(new AppError('Course not found', 404));
   }
 
-  if (!course.price || course.price <= 0) {
+  if (Number(course.price) === 0) {
+    return next(
+      new AppError(
+        'This course is free. Use /api/saas/payment/enroll/:courseId to enroll',
+        400
+      )
+    );
+  }
+
+  if (!course.price || course.price < 0) {
     return next(new AppError('Invalid course price', 400));
   }
 
@@ -124,12 +192,98 @@ exports.getCheckoutSession = catchAsync(async (req, res, next) => {
     .eq('user_id', req.user.id)
     .eq('course_id', req.params.courseId)
     .eq('payment_status', 'succeeded')
+    .is('org_id', null)
     .single();
 
   if (existingPurchase) {
     return next(new AppError('You have already purchased this course', 400));
   }
 
+  const { data: existingEnrollment } = await supabase
+    .from('enrollments')
+    .select('enrollment_id')
+    .eq('user_id', req.user.id)
+    .eq('course_id', req.params.courseId)
+    .maybeSingle();
+
+  if (existingEnrollment) {
+    return next(new AppError('You are already enrolled in this course', 400));
+  }
+
+  // Optional ?coupon=CODE
+  let charge = Number(course.price);
+  let couponMetadata = {};
+
+  if (req.query.coupon) {
+    const result = await applyCoupon({
+      code: req.query.coupon,
+      userId: req.user.id,
+      course
+    });
+
+    if (result.error) {
+      return next(new AppError(result.error, 400));
+    }
+
+    const redemption = {
+      coupon_id: result.coupon.coupon_id,
+      discount_amount: result.discount
+    };
+
+    // Nothing left to pay: skip Stripe altogether
+    if (result.finalAmount === 0) {
+      const { enrollment, payment } = await enrollWithoutCharge(
+        req.user.id,
+        req.params.courseId,
+        redemption
+      );
+
+      // A concurrent checkout may have taken the last redemption meanwhile
+      if (await overRedeemed(result.coupon, req.user.id)) {
+        if (payment) {
+          await supabase
+            .from('payments')
+            .delete()
+            .eq('payment_id', payment.payment_id);
+        }
+        await supabase
+          .from('enrollments')
+          .delete()
+          .eq('enrollment_id', enrollment.enrollment_id);
+
+        return next(
+          new AppError('This coupon has reached its redemption limit', 400)
+        );
+      }
+
+      return res.status(201).json({
+        status: 'success',
+        message: 'Coupon covers the full price. You are now enrolled',
+        session: null,
+        data: {
+          payment,
+          enrollment
+        }
+      });
+    }
+
+    if (result.finalAmount < MIN_CHARGE_INR) {
+      return next(
+        new AppError(
+          `This coupon leaves ₹${result.finalAmount} to pay, below the ₹${MIN_CHARGE_INR} minimum card payment`,
+          400
+        )
+      );
+    }
+
+    charge = result.finalAmount;
+    couponMetadata = {
+      coupon_id: String(result.coupon.coupon_id),
+      coupon_code: result.coupon.code,
+      discount_amount: String(result.discount)
+    };
+  }
+
   // 2) Create checkout session
   const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173/';
   // Remove trailing slash if present
@@ -152,7 +306,7 @@ exports.getCheckoutSession = catchAsync(async (req, res, next) => {
             description: course.description || 'Course purchase',
             images: course.image ? [course.image] : []
           },
-          unit_amount: Math.round(course.price * 100) // Convert to paise (smallest unit of INR)
+          unit_amount: Math.round(charge * 100) // Convert to paise (smallest unit of INR)
         },
         quantity: 1
       }
@@ -160,7 +314,8 @@ exports.getCheckoutSession = catchAsync(async (req, res, next) => {
     mode: 'payment',
     metadata: {
       course_id: req.params.courseId,
-      user_id: req.user.id
+      user_id: req.user.id,
+      ...couponMetadata
     }
   });
 
@@ -183,65 +338,73 @@ exports.verifyPayment = catchAsync(async (req, res, next) => {
     // Retrieve session from Stripe
     const session = await stripe.checkout.sessions.retrieve(session_id);
 
-    if (session.payment_status !== 'paid') {
-      return next(new AppError('Payment not completed', 400));
+    if (session.metadata?.user_id !== req.user.id) {
+      return next(new AppError('This payment belongs to another user', 403));
     }
 
-    const courseId = session.client_reference_id;
-    const userId = session.metadata.user_id;
-    const amount = session.amount_total / 100;
+    if (session.mode === 'subscription') {
+      if (session.status !== 'complete' || !session.subscription) {
+        return next(new AppError('Payment not completed', 400));
+      }
 
-    // Check if payment already recorded
-    const { data: existingPayment } = await supabase
-      .from('payments')
-      .select('payment_id')
-      .eq('stripe_session_id', session_id)
-      .single();
+      const subscription = await syncSubscription(
+        await stripe.subscriptions.retrieve(session.subscription)
+      );
+      return res.status(200).json({
+        status: 'success',
+        message: 'Subscription verified',
+        data: {
+          subscription
+        }
+      });
+    }
 
-    if (existingPayment) {
-      return next(new AppError('Payment already recorded', 400));
+    if (session.payment_status !== 'paid') {
+      return next(new AppError('Payment not completed', 400));
     }
 
-    // Create payment record
-    const { data: payment, error: paymentError } = await supabase
-      .from('payments')
-      .insert([
-        {
-          user_id: userId,
-          course_id: courseId,
-          amount: amount,
-          payment_status: 'succeeded',
-          stripe_session_id: session.id
+    if (session.metadata.type === 'org_seats') {
+      const { license } = await fulfilSeatPurchase(session);
+      return res.status(200).json({
+        status: 'success',
+        message: 'Payment verified and seats added to the organization',
+        data: {
+          license
         }
-      ])
-      .select();
-
-    if (paymentError) {
-      return next(new AppError(paymentError.message, 400));
+      });
     }
 
-    // Create enrollment record
-    const { data: enrollment, error: enrollmentError } = await supabase
-      .from('enrollments')
-      .insert([
-        {
-          user_id: userId,
-          course_id: courseId,
-          enrollment_date: new Date().toISOString()
+    // The webhook may already have fulfilled the session; either way the
+    // existing payment and enrollment come back
+    if (session.metadata.type === 'cart') {
+      const purchases = await fulfilCartCheckout(session);
+      return res.status(200).json({
+        status: 'success',
+        message: 'Payment verified and enrollments created',
+        results: purchases.length,
+        data: {
+          payments: purchases.map(({ payment }) => payment),
+          enrollments: purchases
+            .map(({ enrollment }) => enrollment)
+            .filter(Boolean)
         }
-      ])
-      .select();
+      });
+    }
 
-    if (enrollmentError) {
-      return next(new AppError(enrollmentError.message, 400));
+    const { payment, enrollment } = await fulfilCoursePurchase(session);
+
+    if (!enrollment) {
+      return next(
+        new AppError(`This payment was ${payment.payment_status}`, 400)
+      );
     }
 
     res.status(200).json({
       status: 'success',
       message: 'Payment verified and enrollment created',
       data: {
-        payment: payment[0],
-        enrollment: enrollment[0]
+        payment,
+        enrollment
       }
     });
   } catch (error) {
@@ -249,6 +412,55 @@ exports.verifyPayment = catchAsync(async (req, res, next) => {
   }
 });
 
+// Enroll directly in a free course
+exports.enrollInFreeCourse = catchAsync(async (req, res, next) => {
+  const { courseId } = req.params;
+
+  const { data: course, error: courseError } = await supabase
+    .from('courses')
+    .select('courseid, price, published')
+    .eq('courseid', courseId)
+    .single();
+
+  if (courseError || !course || !course.published) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  if (Number(course.price) !== 0) {
+    return next(
+      new AppError(
+        'This course is not free. Please purchase it through checkout',
+        400
+      )
+    );
+  }
+
+  const { data: existingEnrollment } = await supabase
+    .from('enrollments')
+    .select('enrollment_id')
+    .eq('user_id', req.user.id)
+    .eq('course_id', courseId)
+    .maybeSingle();
+
+  if (existingEnrollment) {
+    return next(new AppError('You are already enrolled in this course', 400));
+  }
+
+  const { enrollment, payment } = await enrollWithoutCharge(
+    req.user.id,
+    courseId
+  );
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Enrolled in free course',
+    data: {
+      payment,
+      enrollment
+    }
+  });
+});
+
 // Check if user is enrolled in a specific course
 exports.checkEnrollment = catchAsync(async (req, res, next) => {
   const { courseId } = req.params;
@@ -274,10 +486,14 @@ exports.checkEnrollment = catchAsync(async (req, res, next) => {
     return next(new AppError(error.message, 400));
   }
 
+  // An all-access subscription counts as enrollment in every course
+  const subscribed = !data && (await hasActiveSubscription(req.user.id));
+
   res.status(200).json({
     status: 'success',
     data: {
-      isEnrolled: !!data,
+      isEnrolled: !!data || subscribed,
+      access: data ? 'enrollment' : subscribed ? 'subscription' : null,
       enrollment: data || null
     }
   });
@@ -0,0 +1,275 @@
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const { recordAudit } = require('./../util/auditLog');
+const {
+  REFUND_WINDOW_DAYS,
+  withinRefundWindow,
+  issueRefund
+} = require('./../util/refunds');
+
+const REVIEW_STATUSES = ['approved', 'rejected'];
+
+// Only succeeded, charged Stripe payments can be refunded. Seat purchases
+// are not: refunding them would leave the organization its seats.
+const refundableError = (payment) => {
+  if (payment.org_id) {
+    return 'Organization seat purchases cannot be refunded here';
+  }
+  if (payment.payment_status !== 'succeeded') {
+    return `This payment is ${payment.payment_status} and cannot be refunded`;
+  }
+  if (!(Number(payment.amount) > 0) || !payment.stripe_session_id) {
+    return 'This payment was not charged, so there is nothing to refund';
+  }
+  return null;
+};
+
+// issueRefund only throws before Stripe has refunded anything
+const refund = async (payment, reason) => {
+  let stripeRefund;
+  try {
+    stripeRefund = await issueRefund(payment, { reason });
+  } catch (err) {
+    throw new AppError(`Stripe error: ${err.message}`, 400);
+  }
+
+  if (!stripeRefund) {
+    throw new AppError('This payment is already being refunded', 409);
+  }
+  return stripeRefund;
+};
+
+// Student: ask for a refund of one of their own payments
+exports.requestRefund = catchAsync(async (req, res, next) => {
+  const { paymentId, reason } = req.body;
+
+  if (!paymentId) {
+    return next(new AppError('Please provide paymentId', 400));
+  }
+
+  const { data: payment } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('payment_id', paymentId)
+    .eq('user_id', req.user.id)
+    .maybeSingle();
+
+  if (!payment || payment.org_id) {
+    return next(new AppError('No payment found with that ID', 404));
+  }
+
+  const notRefundable = refundableError(payment);
+  if (notRefundable) return next(new AppError(notRefundable, 400));
+
+  if (!withinRefundWindow(payment)) {
+    return next(
+      new AppError(
+        `Refunds can only be requested within ${REFUND_WINDOW_DAYS} days of purchase`,
+        400
+      )
+    );
+  }
+
+  const { data: pending } = await supabase
+    .from('refund_requests')
+    .select('refund_request_id')
+    .eq('payment_id', paymentId)
+    .eq('status', 'pending')
+    .maybeSingle();
+
+  if (pending) {
+    return next(
+      new AppError('A refund request for this payment is already pending', 400)
+    );
+  }
+
+  const { data, error } = await supabase
+    .from('refund_requests')
+    .insert([
+      {
+        payment_id: paymentId,
+        user_id: req.user.id,
+        reason: reason || null,
+        status: 'pending'
+      }
+    ])
+    .select();
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      refundRequest: data[0]
+    }
+  });
+});
+
+exports.getMyRefundRequests = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('refund_requests')
+    .select('*, payment:payments(payment_id, amount, course_id, created_at)')
+    .eq('user_id', req.user.id)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      refundRequests: data,
+      refundWindowDays: REFUND_WINDOW_DAYS
+    }
+  });
+});
+
+// Admin: refund requests, optionally by ?status=
+exports.getRefundRequests = catchAsync(async (req, res, next) => {
+  let query = supabase
+    .from('refund_requests')
+    .select(
+      '*, payment:payments(payment_id, amount, course_id, payment_status, created_at), user:users(id, full_name, email)'
+    )
+    .order('created_at', { ascending: false });
+
+  if (req.query.status) query = query.eq('status', req.query.status);
+
+  const { data, error } = await query;
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      refundRequests: data
+    }
+  });
+});
+
+// Admin: approve (refunds through Stripe) or reject a pending request
+exports.reviewRefundRequest = catchAsync(async (req, res, next) => {
+  const { status, note } = req.body;
+
+  if (!REVIEW_STATUSES.includes(status)) {
+    return next(
+      new AppError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`, 400)
+    );
+  }
+
+  const { data: request } = await supabase
+    .from('refund_requests')
+    .select('*, payment:payments(*)')
+    .eq('refund_request_id', req.params.id)
+    .maybeSingle();
+
+  if (!request) {
+    return next(new AppError('No refund request found with that ID', 404));
+  }
+
+  if (request.status !== 'pending') {
+    return next(
+      new AppError(`This refund request was already ${request.status}`, 400)
+    );
+  }
+
+  let stripeRefund = null;
+
+  if (status === 'approved') {
+    const notRefundable = refundableError(request.payment);
+    if (notRefundable) return next(new AppError(notRefundable, 400));
+
+    stripeRefund = await refund(request.payment, request.reason);
+  }
+
+  const { payment, ...before } = request;
+
+  const { data, error } = await supabase
+    .from('refund_requests')
+    .update({
+      status,
+      review_note: note || null,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString(),
+      stripe_refund_id: stripeRefund ? stripeRefund.id : null
+    })
+    .eq('refund_request_id', request.refund_request_id)
+    .select();
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await recordAudit(req, {
+    action: `refund_request.${status === 'approved' ? 'approve' : 'reject'}`,
+    targetType: 'refund_request',
+    targetId: request.refund_request_id,
+    before,
+    after: data[0]
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      refundRequest: data[0]
+    }
+  });
+});
+
+// Admin: refund any payment directly, regardless of the refund window
+exports.refundPayment = catchAsync(async (req, res, next) => {
+  const { data: payment } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('payment_id', req.params.paymentId)
+    .maybeSingle();
+
+  if (!payment) {
+    return next(new AppError('No payment found with that ID', 404));
+  }
+
+  const notRefundable = refundableError(payment);
+  if (notRefundable) return next(new AppError(notRefundable, 400));
+
+  const stripeRefund = await refund(payment, req.body.reason);
+
+  // Close any request the student had open for it
+  await supabase
+    .from('refund_requests')
+    .update({
+      status: 'approved',
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString(),
+      stripe_refund_id: stripeRefund.id
+    })
+    .eq('payment_id', payment.payment_id)
+    .eq('status', 'pending');
+
+  await recordAudit(req, {
+    action: 'payment.refund',
+    targetType: 'payment',
+    targetId: payment.payment_id,
+    before: payment,
+    after: { ...payment, payment_status: 'refunded' }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Payment refunded and course access revoked',
+    data: {
+      refund: {
+        id: stripeRefund.id,
+        amount: (stripeRefund.amount || 0) / 100,
+        status: stripeRefund.status
+      }
+    }
+  });
+});
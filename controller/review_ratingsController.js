@@ -1,6 +1,8 @@
 const { supabase } = require('./../util/supabaseclient');
 const AppError = require('./../util/appError');
 const catchAsync = require('./../util/catchAsync');
+const { recordAudit } = require('./../util/auditLog');
+const { notify } = require('./../util/notifications');
 
 // Create a review/rating
 exports.createReview = catchAsync(async (req, res, next) => {
@@ -29,7 +31,7 @@ exports.createReview = catchAsync(async (req, res, next) => {
   // Prevent course author from posting a review for their own course
   const { data: courseAuthorData, error: courseAuthorError } = await supabase
     .from('courses')
-    .select('author')
+    .select('author, title')
     .eq('courseid', course_id)
     .single();
 
@@ -113,6 +115,15 @@ exports.createReview = catchAsync(async (req, res, next) => {
         console.error('Error updating course stats:', updateError);
       }
     }
+
+    if (courseAuthorData && courseAuthorData.author) {
+      notify(courseAuthorData.author, 'review.received', {
+        title: `New ${rating}-star review on ${courseAuthorData.title}`,
+        body: review || null,
+        link: `/courses/${course_id}`,
+        data: { course_id, review_id: data[0].review_id }
+      });
+    }
   }
 
   res.status(201).json({
@@ -484,10 +495,10 @@ exports.getAllReviews = catchAsync(async (req, res, next) => {
 exports.adminDeleteReview = catchAsync(async (req, res, next) => {
   const reviewId = req.params.id;
 
-  // Get course_id before deleting
+  // Get the review before deleting (course_id for stats, row for the audit log)
   const { data: reviewData } = await supabase
     .from('review_ratings')
-    .select('course_id')
+    .select('*')
     .eq('review_id', reviewId)
     .single();
 
@@ -500,6 +511,13 @@ exports.adminDeleteReview = catchAsync(async (req, res, next) => {
     return next(new AppError('No review found with that ID', 404));
   }
 
+  await recordAudit(req, {
+    action: 'review.admin_delete',
+    targetType: 'review',
+    targetId: reviewId,
+    before: reviewData || null
+  });
+
   // Only update course stats if deletion was successful
   if (!error && reviewData) {
     const { data: allReviews, error: reviewsError } = await supabase
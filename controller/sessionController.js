@@ -0,0 +1,99 @@
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const { clearAuthCookies } = require('./../util/authSession');
+const { revokeSessions } = require('./../util/sessionTracker');
+
+// List the devices the current user is logged in on
+exports.getMySessions = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select(
+      'session_id, device, user_agent, ip_address, created_at, last_seen_at'
+    )
+    .eq('user_id', req.user.id)
+    .is('revoked_at', null)
+    .order('last_seen_at', { ascending: false });
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const sessions = data.map((session) => ({
+    ...session,
+    current: session.session_id === req.sessionId
+  }));
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions
+    }
+  });
+});
+
+// Log out a single device
+exports.revokeSession = catchAsync(async (req, res, next) => {
+  const sessionId = req.params.id;
+
+  const { data, error } = await revokeSessions(req.user.id, [sessionId]);
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  if (!data || data.length === 0) {
+    return next(new AppError('No active session found with that ID', 404));
+  }
+
+  // Revoking the device making the request is a regular logout. Other
+  // devices are signed out of Supabase with their own token on their next
+  // request or refresh (see resolveSession).
+  if (sessionId === req.sessionId) {
+    await supabase.auth.admin.signOut(req.accessToken, 'local');
+    clearAuthCookies(res);
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// Log out everywhere. With ?keepCurrent=true the current device stays
+// logged in and only the others are revoked.
+exports.revokeAllSessions = catchAsync(async (req, res, next) => {
+  const keepCurrent = req.query.keepCurrent === 'true';
+
+  const { error: signOutError } = await supabase.auth.admin.signOut(
+    req.accessToken,
+    keepCurrent ? 'others' : 'global'
+  );
+
+  if (signOutError) {
+    return next(new AppError(signOutError.message, 400));
+  }
+
+  let sessionIds;
+  if (keepCurrent) {
+    const { data: active } = await supabase
+      .from('sessions')
+      .select('session_id')
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .neq('session_id', req.sessionId);
+    sessionIds = (active || []).map((s) => s.session_id);
+  }
+
+  await revokeSessions(req.user.id, sessionIds);
+
+  if (!keepCurrent) clearAuthCookies(res);
+
+  res.status(200).json({
+    status: 'success',
+    message: keepCurrent
+      ? 'Logged out of all other devices'
+      : 'Logged out of all devices'
+  });
+});
@@ -0,0 +1,167 @@
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const { frontendUrl } = require('./../util/oauthClient');
+const {
+  PLANS,
+  GRACE_PERIOD_DAYS,
+  grantsAccess,
+  getUserSubscription,
+  syncSubscription
+} = require('./../util/subscriptions');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const formatSubscription = (row) =>
+  row && {
+    plan: row.plan,
+    status: row.status,
+    active: grantsAccess(row),
+    currentPeriodEnd: row.current_period_end,
+    cancelAtPeriodEnd: row.cancel_at_period_end,
+    graceUntil: row.grace_until || null
+  };
+
+exports.getPlans = catchAsync(async (req, res, next) => {
+  const plans = await Promise.all(
+    Object.entries(PLANS)
+      .filter(([, plan]) => plan.priceId)
+      .map(async ([id, plan]) => {
+        const price = await stripe.prices.retrieve(plan.priceId);
+        return {
+          id,
+          name: plan.name,
+          interval: plan.interval,
+          amount: (price.unit_amount || 0) / 100,
+          currency: price.currency
+        };
+      })
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: plans.length,
+    data: {
+      plans,
+      gracePeriodDays: GRACE_PERIOD_DAYS
+    }
+  });
+});
+
+// Stripe Billing checkout for an all-access plan. The subscription itself
+// is recorded from the customer.subscription.* webhooks.
+exports.getSubscriptionCheckoutSession = catchAsync(async (req, res, next) => {
+  const planId = req.body.plan;
+  const plan = PLANS[planId];
+
+  if (!plan || !plan.priceId) {
+    return next(
+      new AppError(
+        `plan must be one of: ${Object.keys(PLANS)
+          .filter((id) => PLANS[id].priceId)
+          .join(', ')}`,
+        400
+      )
+    );
+  }
+
+  const current = await getUserSubscription(req.user.id);
+
+  if (current && grantsAccess(current)) {
+    return next(new AppError('You already have an active subscription', 400));
+  }
+
+  const session = await stripe.checkout.sessions.create({
+    mode: 'subscription',
+    line_items: [{ price: plan.priceId, quantity: 1 }],
+    success_url: frontendUrl('/subscription?status=success'),
+    cancel_url: frontendUrl('/subscription'),
+    // Reuse the Stripe customer from an earlier subscription
+    ...(current && current.stripe_customer_id
+      ? { customer: current.stripe_customer_id }
+      : { customer_email: req.user.email }),
+    client_reference_id: req.user.id,
+    subscription_data: {
+      metadata: {
+        user_id: req.user.id,
+        plan: planId
+      }
+    },
+    metadata: {
+      type: 'subscription',
+      user_id: req.user.id,
+      plan: planId
+    }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    session
+  });
+});
+
+exports.getMySubscription = catchAsync(async (req, res, next) => {
+  const subscription = await getUserSubscription(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      subscription: formatSubscription(subscription)
+    }
+  });
+});
+
+const setCancelAtPeriodEnd = (cancel) =>
+  catchAsync(async (req, res, next) => {
+    const current = await getUserSubscription(req.user.id);
+
+    if (
+      !current ||
+      ['canceled', 'incomplete_expired'].includes(current.status)
+    ) {
+      return next(new AppError('You do not have a subscription', 404));
+    }
+
+    const updated = await stripe.subscriptions.update(
+      current.stripe_subscription_id,
+      { cancel_at_period_end: cancel }
+    );
+    const row = await syncSubscription(updated);
+
+    res.status(200).json({
+      status: 'success',
+      message: cancel
+        ? 'Your subscription will end at the end of the current period'
+        : 'Your subscription will renew automatically',
+      data: {
+        subscription: formatSubscription(row)
+      }
+    });
+  });
+
+// Access continues until the end of the paid period
+exports.cancelMySubscription = setCancelAtPeriodEnd(true);
+exports.resumeMySubscription = setCancelAtPeriodEnd(false);
+
+// Admin: subscriptions, optionally by ?status=
+exports.getAllSubscriptions = catchAsync(async (req, res, next) => {
+  let query = supabase
+    .from('subscriptions')
+    .select('*, user:users(id, full_name, email)')
+    .order('updated_at', { ascending: false });
+
+  if (req.query.status) query = query.eq('status', req.query.status);
+
+  const { data, error } = await query;
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      subscriptions: data
+    }
+  });
+});
@@ -1,6 +1,13 @@
 const { supabase } = require('./../util/supabaseclient');
 const catchAsync = require('./../util/catchAsync');
 const AppError = require('./../util/appError');
+const { resolveSession, clearAuthCookies } = require('./../util/authSession');
+const { revokeSessions } = require('./../util/sessionTracker');
+const { recordAudit } = require('./../util/auditLog');
+const { withoutCredentials } = require('./../util/userFields');
+const { deleteAccount } = require('./../util/accountDeletion');
+const { ACCOUNT_PURGE_DAYS } = require('./../util/accountPurge');
+const { SUPPORTED_LOCALES } = require('./../util/emailTemplates');
 const multer = require('multer');
 
 const multerStorage = multer.memoryStorage();
@@ -20,6 +27,47 @@ const upload = multer({
 
 exports.uploadUserPhoto = upload.single('image');
 
+const SOCIAL_LINK_KEYS = [
+  'website',
+  'twitter',
+  'linkedin',
+  'youtube',
+  'github'
+];
+
+// Parse and validate the instructor's social links: known keys only, each an
+// http(s) URL. Returns { links } or { error }.
+const parseSocialLinks = (value) => {
+  let links = value;
+  if (typeof links === 'string') {
+    try {
+      links = JSON.parse(links);
+    } catch (err) {
+      return { error: 'social_links must be a JSON object' };
+    }
+  }
+
+  if (!links || typeof links !== 'object' || Array.isArray(links)) {
+    return { error: 'social_links must be an object' };
+  }
+
+  const clean = {};
+  for (const [key, url] of Object.entries(links)) {
+    if (!SOCIAL_LINK_KEYS.includes(key)) {
+      return {
+        error: `Unknown social link '${key}'. Allowed: ${SOCIAL_LINK_KEYS.join(', ')}`
+      };
+    }
+    if (!url) continue;
+    if (typeof url !== 'string' || !/^https?:\/\/\S+$/i.test(url)) {
+      return { error: `social_links.${key} must be an http(s) URL` };
+    }
+    clean[key] = url;
+  }
+
+  return { links: clean };
+};
+
 exports.resizeAndUploadUserPhoto = catchAsync(async (req, res, next) => {
   if (!req.file) return next();
 
@@ -134,11 +182,53 @@ exports.updateMe = catchAsync(async (req, res, next) => {
   if (req.body.full_name) allowedFields.full_name = req.body.full_name;
   if (req.body.email) allowedFields.email = req.body.email;
   if (req.body.image) allowedFields.image = req.body.image;
+  if (req.body.locale) {
+    if (!SUPPORTED_LOCALES.includes(req.body.locale)) {
+      return next(
+        new AppError(
+          `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`,
+          400
+        )
+      );
+    }
+    allowedFields.locale = req.body.locale;
+  }
+
+  // Public instructor profile fields
+  const profileFields = ['bio', 'headline', 'social_links'].filter(
+    (field) => req.body[field] !== undefined
+  );
+
+  if (profileFields.length > 0) {
+    const { data: userRow } = await supabase
+      .from('users')
+      .select('role')
+      .eq('id', userId)
+      .single();
+
+    if (!userRow || !['instructor', 'admin'].includes(userRow.role)) {
+      return next(
+        new AppError('Only instructors can edit a public profile', 403)
+      );
+    }
+
+    if (req.body.bio !== undefined) allowedFields.bio = req.body.bio || null;
+    if (req.body.headline !== undefined) {
+      allowedFields.headline = req.body.headline || null;
+    }
+    if (req.body.social_links !== undefined) {
+      const { links, error: linksError } = parseSocialLinks(
+        req.body.social_links
+      );
+      if (linksError) return next(new AppError(linksError, 400));
+      allowedFields.social_links = links;
+    }
+  }
 
   if (Object.keys(allowedFields).length === 0) {
     return next(
       new AppError(
-        'Please provide at least one field to update (full_name, email, or image)',
+        'Please provide at least one field to update (full_name, email, image, locale, bio, headline or social_links)',
         400
       )
     );
@@ -157,7 +247,7 @@ exports.updateMe = catchAsync(async (req, res, next) => {
   res.status(200).json({
     status: 'success',
     data: {
-      user: updatedUser[0]
+      user: withoutCredentials(updatedUser[0])
     }
   });
 });
@@ -168,7 +258,7 @@ exports.getAllUsers = catchAsync(async (req, res, next) => {
   res.status(200).json({
     status: 'success',
     length: data.length,
-    data
+    data: data.map(withoutCredentials)
   });
 });
 
@@ -188,7 +278,14 @@ exports.createUser = catchAsync(async (req, res, next) => {
     return next(new AppError('User Cannot be created', 400));
   }
 
-  res.status(200).json({
+  await recordAudit(req, {
+    action: 'user.create',
+    targetType: 'user',
+    targetId: data.user && data.user.id,
+    after: { email, name }
+  });
+
+  res.status(201).json({
     status: 'success',
     data
   });
@@ -208,16 +305,22 @@ exports.getUser = catchAsync(async (req, res, next) => {
 
   res.status(200).json({
     status: 'success',
-    user: data
+    user: data.map(withoutCredentials)
   });
 });
 
 exports.updateUser = catchAsync(async (req, res, next) => {
   const userId = req.params.id;
 
+  const { data: before } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle();
+
   const { data: updatedUser, error } = await supabase
     .from('users')
-    .update(req.body)
+    .update(withoutCredentials(req.body))
     .eq('id', userId)
     .select();
 
@@ -225,52 +328,69 @@ exports.updateUser = catchAsync(async (req, res, next) => {
     return next(new AppError('No user found with the specified Id', 404));
   }
 
+  await recordAudit(req, {
+    action: 'user.update',
+    targetType: 'user',
+    targetId: userId,
+    before,
+    after: updatedUser[0] || null
+  });
+
   res.status(200).json({
     status: 'success',
-    user: updatedUser
+    user: updatedUser.map(withoutCredentials)
   });
 });
 
 exports.deleteUser = catchAsync(async (req, res, next) => {
   const userId = req.params.id;
 
-  // Delete from users table
-  const { error } = await supabase.from('users').delete().eq('id', userId);
+  // Optional body: { courseAction: 'unpublish' | 'transfer', transferTo }
+  const { courseAction, transferTo } = req.body || {};
 
-  if (error) {
-    return next(
-      new AppError(`Failed to delete user from database: ${error.message}`, 400)
-    );
+  if (userId === req.user.id) {
+    return next(new AppError('You cannot delete your own account here', 400));
+  }
+
+  const { data: before } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!before) {
+    return next(new AppError('No user found with that id', 404));
   }
 
+  // Removes the auth user, avatar, progress, reviews and enrollments,
+  // anonymizes payments and hands off authored courses
+  const summary = await deleteAccount(userId, { courseAction, transferTo });
+
+  await recordAudit(req, {
+    action: 'user.delete',
+    targetType: 'user',
+    targetId: userId,
+    before,
+    after: { deleted: true, ...summary }
+  });
+
   res.status(204).json({
     status: 'success'
   });
 });
 
 exports.getMe = catchAsync(async (req, res, next) => {
-  // Public endpoint: read token from cookie or Authorization header,
-  // resolve the Supabase session to get the user id, then fetch the
-  // canonical user record from the `users` table.
-  const token =
-    (req.cookies && req.cookies.jwt) ||
-    (req.headers.authorization && req.headers.authorization.split(' ')[1]);
-
-  if (!token) {
-    // No token: return success with null user so frontend can treat as logged out
-    return res.status(200).json({ status: 'success', data: { user: null } });
-  }
-
-  // Get user info from Supabase auth using the token
-  const { data: sessionData, error: sessionError } =
-    await supabase.auth.getUser(token);
+  // Public endpoint: resolve the session from the cookie or Authorization
+  // header (rotating an expired access token via the refresh cookie), then
+  // fetch the canonical user record from the `users` table.
+  const session = await resolveSession(req, res);
 
-  if (sessionError || !sessionData?.user?.id) {
-    // Token invalid or expired
+  if (!session) {
+    // No valid session: return success with null user so frontend can treat as logged out
     return res.status(200).json({ status: 'success', data: { user: null } });
   }
 
-  const userId = sessionData.user.id;
+  const userId = session.user.id;
 
   // Fetch the canonical user row from `users` table
   const { data: userRow, error: userError } = await supabase
@@ -279,26 +399,85 @@ exports.getMe = catchAsync(async (req, res, next) => {
     .eq('id', userId)
     .single();
 
-  if (userError || !userRow) {
+  // Deactivated accounts are treated as logged out
+  if (userError || !userRow || userRow.is_active === false) {
     return res.status(200).json({ status: 'success', data: { user: null } });
   }
 
-  res.status(200).json({ status: 'success', data: { user: userRow } });
+  res.status(200).json({
+    status: 'success',
+    data: { user: withoutCredentials(userRow) }
+  });
 });
 
 exports.deleteMe = catchAsync(async (req, res, next) => {
-  const userId = req.params.id;
+  const userId = req.user.id;
 
-  const { error } = await supabase
+  const { data, error } = await supabase
     .from('users')
-    .update({ is_active: false })
-    .eq('id', userId);
+    .update({ is_active: false, deactivated_at: new Date().toISOString() })
+    .eq('id', userId)
+    .select('id');
 
-  if (error) {
+  if (error || !data || data.length === 0) {
     return next(new AppError('User does not exist', 404));
   }
 
+  // Revoke every session so the account is locked out on all devices
+  const { error: signOutError } = await supabase.auth.admin.signOut(
+    req.accessToken,
+    'global'
+  );
+
+  if (signOutError) {
+    console.warn(
+      'Failed to revoke sessions on deactivation:',
+      signOutError.message
+    );
+  }
+
+  await revokeSessions(userId);
+  clearAuthCookies(res);
+
   res.status(200).json({
-    status: 'success'
+    status: 'success',
+    message: `Account deactivated. It will be permanently deleted after ${ACCOUNT_PURGE_DAYS} days unless reactivated by support.`
+  });
+});
+
+// Admin: reactivate an account deactivated through /deleteMe
+exports.reactivateUser = catchAsync(async (req, res, next) => {
+  const userId = req.params.id;
+
+  const { data: before } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle();
+
+  const { data, error } = await supabase
+    .from('users')
+    .update({ is_active: true, deactivated_at: null })
+    .eq('id', userId)
+    .select();
+
+  if (error || !data || data.length === 0) {
+    return next(new AppError('No user found with that id', 404));
+  }
+
+  await recordAudit(req, {
+    action: 'user.reactivate',
+    targetType: 'user',
+    targetId: userId,
+    before,
+    after: data[0]
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Account reactivated',
+    data: {
+      user: withoutCredentials(data[0])
+    }
   });
 });
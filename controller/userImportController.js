@@ -0,0 +1,208 @@
+const multer = require('multer');
+const { supabase } = require('./../util/supabaseclient');
+const AppError = require('./../util/appError');
+const catchAsync = require('./../util/catchAsync');
+const { recordAudit } = require('./../util/auditLog');
+const { parseImportFile, queueImport } = require('./../util/userImport');
+
+const ROW_INSERT_CHUNK = 500;
+
+const multerFilter = (req, file, cb) => {
+  if (
+    ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(
+      file.mimetype
+    ) ||
+    file.originalname.toLowerCase().endsWith('.csv')
+  ) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Not a CSV file! Please upload a .csv file', 400), false);
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: multerFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024
+  }
+});
+
+exports.uploadImportFile = upload.single('file');
+
+const formatJob = (job) => ({
+  importId: job.import_id,
+  status: job.status,
+  fileName: job.file_name,
+  totalRows: job.total_rows,
+  processedRows: job.processed_rows,
+  succeededRows: job.succeeded_rows,
+  failedRows: job.failed_rows,
+  courseIds: job.course_ids || [],
+  createdBy: job.created_by,
+  createdAt: job.created_at,
+  completedAt: job.completed_at || null,
+  error: job.status === 'failed' ? job.error : undefined
+});
+
+// Admin: upload a CSV of users (multipart field "file"). Optional body field
+// courses: course IDs (comma separated or JSON array) to enroll everyone in.
+exports.createUserImport = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(
+      new AppError('Please upload a CSV file in the file field', 400)
+    );
+  }
+
+  let courseIds = req.body.courses || [];
+  if (typeof courseIds === 'string') {
+    try {
+      courseIds = courseIds.trim().startsWith('[')
+        ? JSON.parse(courseIds)
+        : courseIds.split(',');
+    } catch (err) {
+      return next(new AppError('courses must be a list of course IDs', 400));
+    }
+  }
+  if (!Array.isArray(courseIds)) {
+    return next(new AppError('courses must be a list of course IDs', 400));
+  }
+  courseIds = courseIds.map((id) => String(id).trim()).filter(Boolean);
+
+  const { rows, error: parseError } = await parseImportFile(
+    req.file.buffer,
+    courseIds
+  );
+
+  if (parseError) {
+    return next(new AppError(parseError, 400));
+  }
+
+  const invalidRows = rows.filter((row) => row.status === 'failed').length;
+  // Nothing left to do when every row already failed validation
+  const done = invalidRows === rows.length;
+
+  const { data: jobs, error } = await supabase
+    .from('user_imports')
+    .insert([
+      {
+        created_by: req.user.id,
+        file_name: req.file.originalname,
+        course_ids: courseIds,
+        status: done ? 'completed' : 'pending',
+        completed_at: done ? new Date().toISOString() : null,
+        total_rows: rows.length,
+        processed_rows: invalidRows,
+        succeeded_rows: 0,
+        failed_rows: invalidRows
+      }
+    ])
+    .select();
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const job = jobs[0];
+
+  let rowsError = null;
+  for (let i = 0; i < rows.length && !rowsError; i += ROW_INSERT_CHUNK) {
+    ({ error: rowsError } = await supabase
+      .from('user_import_rows')
+      .insert(
+        rows
+          .slice(i, i + ROW_INSERT_CHUNK)
+          .map((row) => ({ ...row, import_id: job.import_id }))
+      ));
+  }
+
+  if (rowsError) {
+    await supabase
+      .from('user_imports')
+      .update({ status: 'failed', error: rowsError.message })
+      .eq('import_id', job.import_id);
+    return next(new AppError(rowsError.message, 400));
+  }
+
+  await recordAudit(req, {
+    action: 'user.import',
+    targetType: 'user_import',
+    targetId: job.import_id,
+    after: {
+      file_name: job.file_name,
+      total_rows: rows.length,
+      invalid_rows: invalidRows,
+      course_ids: courseIds
+    }
+  });
+
+  if (!done) queueImport(job);
+
+  res.status(202).json({
+    status: 'success',
+    message: done
+      ? `No valid rows to import: all ${invalidRows} row(s) failed validation`
+      : `Import started: ${rows.length - invalidRows} valid row(s), ${invalidRows} invalid`,
+    data: {
+      import: formatJob(job)
+    }
+  });
+});
+
+// Admin: all imports, newest first
+exports.getUserImports = catchAsync(async (req, res, next) => {
+  const { data, error } = await supabase
+    .from('user_imports')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(100);
+
+  if (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      imports: data.map(formatJob)
+    }
+  });
+});
+
+// Admin: one import with its per-row report. ?status=failed|succeeded|pending
+exports.getUserImport = catchAsync(async (req, res, next) => {
+  const { data: job, error } = await supabase
+    .from('user_imports')
+    .select('*')
+    .eq('import_id', req.params.importId)
+    .single();
+
+  if (error || !job) {
+    return next(new AppError('No import found with that ID', 404));
+  }
+
+  let query = supabase
+    .from('user_import_rows')
+    .select(
+      'row_number, email, full_name, role, course_ids, status, created, user_id, error'
+    )
+    .eq('import_id', job.import_id)
+    .order('row_number', { ascending: true });
+
+  if (req.query.status) query = query.eq('status', req.query.status);
+
+  const { data: rows, error: rowsError } = await query;
+
+  if (rowsError) {
+    return next(new AppError(rowsError.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      import: formatJob(job),
+      rows
+    }
+  });
+});
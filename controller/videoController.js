@@ -5,6 +5,10 @@ const multer = require('multer');
 const { getVideoDurationInSeconds } = require('get-video-duration');
 const fs = require('fs').promises;
 const path = require('path');
+const { recordAudit } = require('./../util/auditLog');
+const { notify } = require('./../util/notifications');
+const { courseAccess } = require('./../util/subscriptions');
+const { resolveSession } = require('./../util/authSession');
 
 const multerStorage = multer.memoryStorage();
 
@@ -130,7 +134,7 @@ exports.userUploadVideo = catchAsync(async (req, res, next) => {
 
   const { data: course, error: courseError } = await supabase
     .from('courses')
-    .select('author')
+    .select('author, title')
     .eq('courseid', in_course)
     .single();
 
@@ -164,6 +168,30 @@ exports.userUploadVideo = catchAsync(async (req, res, next) => {
     return next(new AppError(error.message, 400));
   }
 
+  await recordAudit(req, {
+    action: 'video.create',
+    targetType: 'video',
+    targetId: data[0].video_id,
+    after: data[0]
+  });
+
+  // Let enrolled learners know there is something new to watch
+  const { data: enrollments } = await supabase
+    .from('enrollments')
+    .select('user_id')
+    .eq('course_id', in_course);
+
+  notify(
+    (enrollments || []).map((e) => e.user_id),
+    'course.new_video',
+    {
+      title: `New video in ${course.title}`,
+      body: data[0].video_title,
+      link: `/courses/${in_course}`,
+      data: { course_id: in_course, video_id: data[0].video_id }
+    }
+  );
+
   res.status(201).json({
     status: 'success',
     message: 'Video uploaded successfully',
@@ -213,6 +241,25 @@ exports.getVideo = catchAsync(async (req, res, next) => {
   });
 });
 
+// How a user may watch a course: 'author', 'admin', 'enrollment' or
+// 'subscription', or null when they may not. Deactivated accounts never can.
+const watchAccess = async (userId, course) => {
+  if (String(course.author) === String(userId)) return 'author';
+
+  const { data: userRow } = await supabase
+    .from('users')
+    .select('role, is_active')
+    .eq('id', userId)
+    .single();
+
+  if (!userRow || userRow.is_active === false) return null;
+  if (userRow.role === 'admin') return 'admin';
+
+  return courseAccess(userId, course.courseid);
+};
+
+// Public course outline. Video URLs are only included for callers who may
+// watch the course; everyone else gets the outline without them.
 exports.getVideosByCourse = catchAsync(async (req, res, next) => {
   const courseId = req.params.courseId;
 
@@ -228,15 +275,73 @@ exports.getVideosByCourse = catchAsync(async (req, res, next) => {
     return next(new AppError(error.message, 400));
   }
 
+  const session = await resolveSession(req, res);
+  let entitled = false;
+
+  if (session) {
+    const { data: course } = await supabase
+      .from('courses')
+      .select('courseid, author')
+      .eq('courseid', courseId)
+      .maybeSingle();
+
+    entitled = !!course && !!(await watchAccess(session.user.id, course));
+  }
+
+  const videos = entitled ? data : data.map(({ video_url, ...video }) => video);
+
   res.status(200).json({
     status: 'success',
-    results: data.length,
+    results: videos.length,
     data: {
-      videos: data
+      videos
     }
   });
 });
 
+// Watching a course needs an enrollment or an active all-access
+// subscription. Course authors and admins always have access.
+exports.requireCourseAccess = catchAsync(async (req, res, next) => {
+  let courseId = req.params.courseId;
+
+  if (!courseId) {
+    const { data: video } = await supabase
+      .from('videos')
+      .select('in_course')
+      .eq('video_id', req.params.id)
+      .maybeSingle();
+
+    if (!video) {
+      return next(new AppError('No video found with that ID', 404));
+    }
+    courseId = video.in_course;
+  }
+
+  const { data: course } = await supabase
+    .from('courses')
+    .select('courseid, author')
+    .eq('courseid', courseId)
+    .maybeSingle();
+
+  if (!course) {
+    return next(new AppError('Course not found', 404));
+  }
+
+  const access = await watchAccess(req.user.id, course);
+
+  if (!access) {
+    return next(
+      new AppError(
+        'Enroll in this course or subscribe to a plan to watch its videos',
+        403
+      )
+    );
+  }
+
+  req.courseAccess = access;
+  next();
+});
+
 exports.getVideosWithProgress = catchAsync(async (req, res, next) => {
   const courseId = req.params.courseId;
 
@@ -378,6 +483,13 @@ exports.createVideo = catchAsync(async (req, res, next) => {
     return next(new AppError(error.message, 400));
   }
 
+  await recordAudit(req, {
+    action: 'video.create',
+    targetType: 'video',
+    targetId: data[0].video_id,
+    after: data[0]
+  });
+
   res.status(201).json({
     status: 'success',
     message: 'Video created successfully',
@@ -402,6 +514,12 @@ exports.updateVideo = catchAsync(async (req, res, next) => {
     return next(new AppError('No valid fields to update', 400));
   }
 
+  const { data: before } = await supabase
+    .from('videos')
+    .select('*')
+    .eq('video_id', videoId)
+    .maybeSingle();
+
   const { data, error } = await supabase
     .from('videos')
     .update(allowedFields)
@@ -412,6 +530,14 @@ exports.updateVideo = catchAsync(async (req, res, next) => {
     return next(new AppError('No video found with that ID', 404));
   }
 
+  await recordAudit(req, {
+    action: 'video.update',
+    targetType: 'video',
+    targetId: videoId,
+    before,
+    after: data[0]
+  });
+
   res.status(200).json({
     status: 'success',
     message: 'Video updated successfully',
@@ -424,6 +550,12 @@ exports.updateVideo = catchAsync(async (req, res, next) => {
 exports.deleteVideo = catchAsync(async (req, res, next) => {
   const videoId = req.params.id;
 
+  const { data: before } = await supabase
+    .from('videos')
+    .select('*')
+    .eq('video_id', videoId)
+    .maybeSingle();
+
   const { error } = await supabase
     .from('videos')
     .delete()
@@ -433,6 +565,13 @@ exports.deleteVideo = catchAsync(async (req, res, next) => {
     return next(new AppError('No video found with that ID', 404));
   }
 
+  await recordAudit(req, {
+    action: 'video.delete',
+    targetType: 'video',
+    targetId: videoId,
+    before
+  });
+
   res.status(204).json({
     status: 'success',
     data: null
@@ -471,6 +610,13 @@ exports.reorderVideos = catchAsync(async (req, res, next) => {
     );
   }
 
+  await recordAudit(req, {
+    action: 'video.reorder',
+    targetType: 'course',
+    targetId: courseId,
+    after: { videoOrders }
+  });
+
   res.status(200).json({
     status: 'success',
     message: 'Videos reordered successfully'
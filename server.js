@@ -3,8 +3,16 @@ const dotenv = require('dotenv');
 dotenv.config({ path: './Config.env' });
 
 const app = require('./app');
+const { scheduleAccountPurge } = require('./util/accountPurge');
+const { resumePendingExports } = require('./util/dataExport');
+const { scheduleEmailQueue } = require('./util/email');
+const { resumePendingImports } = require('./util/userImport');
 
 const port = process.env.PORT;
 
 const server = app.listen(port, () => console.log(`Server running on the port: ${port}`));
 
+scheduleAccountPurge();
+resumePendingExports();
+scheduleEmailQueue();
+resumePendingImports();
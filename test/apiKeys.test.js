@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// In-memory stand-in for the api_keys table
+const rows = [];
+
+const fakeSupabase = {
+  from: () => {
+    const filters = {};
+    const query = {
+      select: () => query,
+      update: () => query,
+      eq: (column, value) => {
+        filters[column] = value;
+        return query;
+      },
+      maybeSingle: async () => ({
+        data:
+          rows.find((row) =>
+            Object.entries(filters).every(([c, v]) => row[c] === v)
+          ) || null
+      }),
+      then: (resolve) => resolve({ data: null, error: null })
+    };
+    return query;
+  }
+};
+
+require.cache[path.resolve(__dirname, '../util/supabaseclient.js')] = {
+  loaded: true,
+  exports: { supabase: fakeSupabase }
+};
+
+const { generateApiKey, findApiKey } = require('./../util/apiKeys');
+
+test('generated keys can be looked up again', async () => {
+  for (let i = 0; i < 200; i += 1) {
+    const { key, lookupId, keyHash } = generateApiKey();
+    rows.push({ key_id: i, lookup_id: lookupId, key_hash: keyHash });
+
+    const row = await findApiKey(key);
+    assert.ok(row, `key ${key} was not found`);
+    assert.strictEqual(row.key_id, i);
+  }
+});
+
+test('malformed and tampered keys are rejected', async () => {
+  const { key, lookupId, keyHash } = generateApiKey();
+  rows.push({ key_id: 'tampered', lookup_id: lookupId, key_hash: keyHash });
+
+  assert.strictEqual(await findApiKey(`${key}x`), null);
+  assert.strictEqual(await findApiKey(key.replace('saas_', 'other_')), null);
+  assert.strictEqual(await findApiKey(`saas_${lookupId}`), null);
+  assert.strictEqual(await findApiKey(`saas_${lookupId}_`), null);
+});
@@ -0,0 +1,233 @@
+const { supabase } = require('./supabaseclient');
+const AppError = require('./appError');
+const { recomputeCourseRating } = require('./courseStats');
+const { cancelUserSubscriptions } = require('./subscriptions');
+const { revokeAssignment } = require('./organizations');
+
+// Storage key of an object in the `user` bucket from its public URL
+const avatarKeyFromUrl = (url) => {
+  if (!url) return null;
+  const cleanUrl = url.split('?')[0];
+  const idx = cleanUrl.indexOf('/user/');
+  return idx === -1 ? null : cleanUrl.slice(idx + '/user/'.length) || null;
+};
+
+const must = async (step, promise) => {
+  const { data, error } = await promise;
+  if (error) {
+    throw new AppError(
+      `Account deletion failed (${step}): ${error.message}`,
+      400
+    );
+  }
+  return data;
+};
+
+// Permanently delete an account and everything hanging off it.
+//
+// Authored courses are either transferred to another instructor
+// (courseAction 'transfer' + transferTo) or unpublished and detached from
+// the author ('unpublish', the default). Payments are kept for accounting
+// but anonymized. Returns a summary of what was removed.
+exports.deleteAccount = async (
+  userId,
+  { courseAction = 'unpublish', transferTo } = {}
+) => {
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('id, email, image')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (userError) {
+    throw new AppError(`Account deletion failed: ${userError.message}`, 400);
+  }
+
+  if (!['unpublish', 'transfer'].includes(courseAction)) {
+    throw new AppError("courseAction must be 'unpublish' or 'transfer'", 400);
+  }
+
+  if (courseAction === 'transfer') {
+    if (!transferTo || transferTo === userId) {
+      throw new AppError(
+        'Please provide transferTo: the instructor who takes over the courses',
+        400
+      );
+    }
+
+    const { data: heir } = await supabase
+      .from('users')
+      .select('id, role, is_active')
+      .eq('id', transferTo)
+      .maybeSingle();
+
+    if (
+      !heir ||
+      heir.is_active === false ||
+      !['instructor', 'admin'].includes(heir.role)
+    ) {
+      throw new AppError(
+        'transferTo must be an active instructor or admin account',
+        400
+      );
+    }
+  }
+
+  const summary = {};
+
+  // 0) Stop billing first: if Stripe cannot cancel a subscription, nothing
+  // is deleted and the user can try again
+  try {
+    summary.subscriptionsCanceled = await cancelUserSubscriptions(userId);
+  } catch (err) {
+    throw new AppError(
+      `Account deletion failed (subscriptions): ${err.message}`,
+      400
+    );
+  }
+
+  // 1) Authored courses
+  const courses = await must(
+    'courses',
+    supabase
+      .from('courses')
+      .update(
+        courseAction === 'transfer'
+          ? { author: transferTo }
+          : { author: null, published: false }
+      )
+      .eq('author', userId)
+      .select('courseid')
+  );
+  summary.coursesHandled = (courses || []).length;
+  summary.courseAction = courseAction;
+
+  // 2) Reviews, then the stats of every course they were counted in
+  const reviews = await must(
+    'reviews',
+    supabase
+      .from('review_ratings')
+      .delete()
+      .eq('user_id', userId)
+      .select('course_id')
+  );
+  const reviewedCourses = [...new Set((reviews || []).map((r) => r.course_id))];
+  for (const courseId of reviewedCourses) {
+    await recomputeCourseRating(courseId);
+  }
+  summary.reviewsDeleted = (reviews || []).length;
+
+  // 3) Learning data
+  const progress = await must(
+    'video progress',
+    supabase
+      .from('video_progress')
+      .delete()
+      .eq('user_id', userId)
+      .select('video_id')
+  );
+  summary.progressDeleted = (progress || []).length;
+
+  const enrollments = await must(
+    'enrollments',
+    supabase
+      .from('enrollments')
+      .delete()
+      .eq('user_id', userId)
+      .select('enrollment_id')
+  );
+  summary.enrollmentsDeleted = (enrollments || []).length;
+
+  // 4) Payments stay for accounting, detached from the person
+  const payments = await must(
+    'payments',
+    supabase
+      .from('payments')
+      .update({ user_id: null, anonymized_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .select('payment_id')
+  );
+  summary.paymentsAnonymized = (payments || []).length;
+
+  // 5) Auth-related rows and personal data exports
+  const exportsToRemove = await must(
+    'data exports',
+    supabase
+      .from('data_exports')
+      .delete()
+      .eq('user_id', userId)
+      .select('file_path')
+  );
+  const exportFiles = (exportsToRemove || [])
+    .map((e) => e.file_path)
+    .filter(Boolean);
+  if (exportFiles.length > 0) {
+    await supabase.storage.from('exports').remove(exportFiles);
+  }
+
+  if (user && user.email) {
+    await must(
+      'email outbox',
+      supabase.from('email_outbox').delete().eq('to_email', user.email)
+    );
+  }
+
+  // Hand the user's organization seats back before their rows go
+  const assignments = await must(
+    'seat assignments',
+    supabase
+      .from('seat_assignments')
+      .select('*')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+  );
+  for (const assignment of assignments) {
+    await revokeAssignment(assignment);
+  }
+
+  for (const table of [
+    'sessions',
+    'mfa_sessions',
+    'api_keys',
+    'instructor_applications',
+    'notifications',
+    'notification_preferences',
+    'user_import_rows',
+    'seat_assignments',
+    'organization_invites',
+    'organization_members',
+    'subscriptions',
+    'cart_items',
+    'refund_requests'
+  ]) {
+    await must(table, supabase.from(table).delete().eq('user_id', userId));
+  }
+
+  // 6) Avatar objects: the canonical filename and any legacy one in `image`
+  const avatarKeys = [
+    ...new Set(
+      [`user-${userId}.jpeg`, avatarKeyFromUrl(user && user.image)].filter(
+        Boolean
+      )
+    )
+  ];
+  const { error: storageError } = await supabase.storage
+    .from('user')
+    .remove(avatarKeys);
+  if (storageError) {
+    console.warn('Could not remove user photos:', storageError.message);
+  }
+
+  // 7) Profile row, then the Supabase auth user itself
+  await must('profile', supabase.from('users').delete().eq('id', userId));
+
+  const { error: authError } = await supabase.auth.admin.deleteUser(userId);
+  if (authError && authError.status !== 404) {
+    throw new AppError(
+      `Account deletion failed (auth user): ${authError.message}`,
+      400
+    );
+  }
+
+  return summary;
+};
@@ -0,0 +1,53 @@
+const { supabase } = require('./supabaseclient');
+const { deleteAccount } = require('./accountDeletion');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Accounts deactivated through /deleteMe are kept for this many days so
+// support can reactivate them, then permanently removed.
+const ACCOUNT_PURGE_DAYS = Number(process.env.ACCOUNT_PURGE_DAYS) || 30;
+
+exports.ACCOUNT_PURGE_DAYS = ACCOUNT_PURGE_DAYS;
+
+exports.purgeDeactivatedAccounts = async () => {
+  const cutoff = new Date(Date.now() - ACCOUNT_PURGE_DAYS * DAY).toISOString();
+
+  const { data: expired, error } = await supabase
+    .from('users')
+    .select('id')
+    .eq('is_active', false)
+    .lt('deactivated_at', cutoff);
+
+  if (error) {
+    console.error('Failed to load deactivated accounts for purge:', error);
+    return 0;
+  }
+
+  let purged = 0;
+
+  for (const { id } of expired || []) {
+    try {
+      await deleteAccount(id);
+      purged += 1;
+    } catch (err) {
+      console.error(`Failed to purge account ${id}:`, err.message);
+    }
+  }
+
+  if (purged > 0) console.log(`Purged ${purged} deactivated account(s)`);
+
+  return purged;
+};
+
+// Run the purge once at startup and then periodically
+exports.scheduleAccountPurge = (intervalMs = 6 * 60 * 60 * 1000) => {
+  const run = () =>
+    exports
+      .purgeDeactivatedAccounts()
+      .catch((err) => console.error('Account purge failed:', err));
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
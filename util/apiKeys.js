@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { supabase } = require('./supabaseclient');
+
+// Scopes are `<resource>:<read|write>`, one pair per API router
+exports.API_KEY_SCOPES = [
+  'courses:read',
+  'courses:write',
+  'videos:read',
+  'videos:write',
+  'reviews:read',
+  'reviews:write',
+  'payments:read',
+  'payments:write'
+];
+
+const KEY_PREFIX = 'saas';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Keys look like saas_<8 hex lookup id>_<secret>. Only the lookup id and a
+// SHA-256 hash are stored, so a leaked database does not leak usable keys.
+exports.generateApiKey = () => {
+  const lookupId = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `${KEY_PREFIX}_${lookupId}_${secret}`;
+
+  return { key, lookupId, keyHash: hashKey(key) };
+};
+
+// Resolve a presented key to its active api_keys row, or null
+exports.findApiKey = async (key) => {
+  // The secret is base64url and may itself contain underscores, so only
+  // the first two separate the parts
+  const value = String(key);
+  if (!value.startsWith(`${KEY_PREFIX}_`)) return null;
+
+  const lookupStart = KEY_PREFIX.length + 1;
+  const secretStart = value.indexOf('_', lookupStart);
+  if (secretStart === -1 || secretStart === value.length - 1) return null;
+
+  const lookupId = value.slice(lookupStart, secretStart);
+
+  const { data: row } = await supabase
+    .from('api_keys')
+    .select('key_id, user_id, scopes, key_hash, expires_at, revoked_at')
+    .eq('lookup_id', lookupId)
+    .maybeSingle();
+
+  if (!row || row.revoked_at) return null;
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) return null;
+
+  const presented = Buffer.from(hashKey(key), 'hex');
+  const stored = Buffer.from(row.key_hash, 'hex');
+  if (
+    presented.length !== stored.length ||
+    !crypto.timingSafeEqual(presented, stored)
+  ) {
+    return null;
+  }
+
+  await supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('key_id', row.key_id);
+
+  return row;
+};
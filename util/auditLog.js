@@ -0,0 +1,63 @@
+const { supabase } = require('./supabaseclient');
+const { withoutCredentials } = require('./userFields');
+
+// Field-level changes between two versions of a row: { field: { from, to } }
+const diffRows = (before, after) => {
+  const diff = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {})
+  ]);
+
+  keys.forEach((key) => {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff[key] = { from: from ?? null, to: to ?? null };
+    }
+  });
+
+  return diff;
+};
+
+exports.diffRows = diffRows;
+
+// Record who did what to which row. Audit failures are logged but never
+// fail the request that triggered them. Credential columns are dropped from
+// the snapshots so they never reach audit_logs or its CSV export.
+exports.recordAudit = async (
+  req,
+  {
+    action,
+    targetType,
+    targetId,
+    before: rawBefore = null,
+    after: rawAfter = null
+  }
+) => {
+  const before = withoutCredentials(rawBefore);
+  const after = withoutCredentials(rawAfter);
+
+  try {
+    const { error } = await supabase.from('audit_logs').insert([
+      {
+        actor_id: req.user ? req.user.id : null,
+        // Set when an admin acts through an impersonation session
+        impersonator_id: req.user ? req.user.impersonatedBy || null : null,
+        api_key_id: req.apiKey ? req.apiKey.id : null,
+        action,
+        target_type: targetType,
+        target_id: targetId !== undefined ? String(targetId) : null,
+        before,
+        after,
+        diff: diffRows(before, after),
+        ip_address: req.ip,
+        user_agent: req.get('user-agent') || null
+      }
+    ]);
+
+    if (error) console.error(`Failed to record audit log (${action}):`, error);
+  } catch (err) {
+    console.error(`Failed to record audit log (${action}):`, err);
+  }
+};
@@ -0,0 +1,132 @@
+const { supabase } = require('./supabaseclient');
+
+const REFRESH_COOKIE = 'refresh_token';
+const refreshTokenDays = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+});
+
+// Store the Supabase session in two httpOnly cookies: the short-lived access
+// token (`jwt`) and the long-lived refresh token used to rotate it.
+exports.setAuthCookies = (res, session) => {
+  const expiresIn = session.expires_in || 60 * 60;
+
+  res.cookie('jwt', session.access_token, {
+    ...cookieOptions(),
+    maxAge: expiresIn * 1000
+  });
+
+  if (session.refresh_token) {
+    res.cookie(REFRESH_COOKIE, session.refresh_token, {
+      ...cookieOptions(),
+      maxAge: refreshTokenDays * 24 * 60 * 60 * 1000
+    });
+  }
+};
+
+exports.clearAuthCookies = (res) => {
+  res.clearCookie('jwt', cookieOptions());
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
+
+// Authorization header first, then cookie (same order protect always used)
+exports.getAccessToken = (req) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return (req.cookies && req.cookies.jwt) || null;
+};
+
+exports.getRefreshToken = (req) =>
+  (req.cookies && req.cookies[REFRESH_COOKIE]) ||
+  (req.body && req.body.refresh_token) ||
+  null;
+
+// Devices logged out from the device list keep a revoked `sessions` row.
+// Supabase can only sign a session out with one of that session's own
+// tokens, so a revoked device is signed out there the next time it presents
+// one. Returns whether the session was revoked.
+const signOutIfRevoked = async (accessToken) => {
+  const sessionId = exports.getSessionId(accessToken);
+  if (!sessionId) return false;
+
+  const { data } = await supabase
+    .from('sessions')
+    .select('revoked_at')
+    .eq('session_id', sessionId)
+    .maybeSingle();
+
+  if (!data || !data.revoked_at) return false;
+
+  const { error } = await supabase.auth.admin.signOut(accessToken, 'local');
+  if (error) {
+    console.warn('Failed to sign out revoked session:', error.message);
+  }
+  return true;
+};
+
+// Exchange a refresh token for a new session. Supabase rotates the refresh
+// token on every use, so the returned session carries a new one. Revoked
+// sessions cannot be refreshed.
+exports.refreshSession = async (refreshToken) => {
+  const { data, error } = await supabase.auth.refreshSession({
+    refresh_token: refreshToken
+  });
+
+  if (error || !data.session) return null;
+  if (await signOutIfRevoked(data.session.access_token)) return null;
+
+  return data.session;
+};
+
+// Resolve the Supabase user for the current request. If the access token is
+// missing or expired but a refresh cookie is present, the session is rotated
+// and the new cookies are written to the response. Revoked sessions resolve
+// to null.
+exports.resolveSession = async (req, res) => {
+  const accessToken = exports.getAccessToken(req);
+
+  if (accessToken) {
+    const { data, error } = await supabase.auth.getUser(accessToken);
+    if (!error && data.user) {
+      if (await signOutIfRevoked(accessToken)) {
+        exports.clearAuthCookies(res);
+        return null;
+      }
+      return { user: data.user, accessToken };
+    }
+  }
+
+  const refreshToken = req.cookies && req.cookies[REFRESH_COOKIE];
+  if (!refreshToken) return null;
+
+  const session = await exports.refreshSession(refreshToken);
+  if (!session) {
+    exports.clearAuthCookies(res);
+    return null;
+  }
+
+  exports.setAuthCookies(res, session);
+
+  return { user: session.user, accessToken: session.access_token };
+};
+
+// Supabase keeps the same `session_id` claim across refreshes, so it
+// identifies a login on one device for as long as that login lives. The token
+// is only decoded here, never trusted: callers verify it with getUser first.
+exports.getSessionId = (accessToken) => {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(accessToken.split('.')[1], 'base64url').toString('utf8')
+    );
+    return payload.session_id || null;
+  } catch (err) {
+    return null;
+  }
+};
@@ -0,0 +1,9 @@
+// Run work after the response has been sent. Failures are logged; the task
+// itself is responsible for recording its outcome (e.g. a job status row).
+exports.runInBackground = (label, task) => {
+  setImmediate(() => {
+    Promise.resolve()
+      .then(task)
+      .catch((err) => console.error(`Background job "${label}" failed:`, err));
+  });
+};
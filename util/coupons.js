@@ -0,0 +1,100 @@
+const { supabase } = require('./supabaseclient');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+exports.DISCOUNT_TYPES = DISCOUNT_TYPES;
+
+exports.normalizeCode = (code) =>
+  String(code || '')
+    .trim()
+    .toUpperCase();
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Discount a coupon gives on a price, never more than the price itself
+const discountFor = (coupon, price) => {
+  const amount =
+    coupon.discount_type === 'percentage'
+      ? (price * Number(coupon.amount)) / 100
+      : Number(coupon.amount);
+  return roundMoney(Math.min(Math.max(amount, 0), price));
+};
+
+exports.discountFor = discountFor;
+
+// Successful payments that used the coupon, optionally for one user
+const countRedemptions = async (couponId, userId) => {
+  let query = supabase
+    .from('payments')
+    .select('payment_id', { count: 'exact', head: true })
+    .eq('coupon_id', couponId)
+    .eq('payment_status', 'succeeded');
+
+  if (userId) query = query.eq('user_id', userId);
+
+  const { count, error } = await query;
+  if (error) throw new Error(error.message);
+  return count || 0;
+};
+
+exports.countRedemptions = countRedemptions;
+
+// Whether the recorded redemptions have gone past the coupon's limits.
+// Checked after writing a redemption, so concurrent checkouts cannot all
+// slip under the limit.
+exports.overRedeemed = async (coupon, userId) =>
+  !!(
+    (coupon.max_redemptions &&
+      (await countRedemptions(coupon.coupon_id)) > coupon.max_redemptions) ||
+    (coupon.per_user_limit &&
+      (await countRedemptions(coupon.coupon_id, userId)) >
+        coupon.per_user_limit)
+  );
+
+// Check a code against a course and user. Returns { coupon, discount,
+// finalAmount } or { error } with a message fit for the client.
+exports.applyCoupon = async ({ code, userId, course }) => {
+  const { data: coupon } = await supabase
+    .from('coupons')
+    .select('*')
+    .eq('code', exports.normalizeCode(code))
+    .maybeSingle();
+
+  if (!coupon || !coupon.active) {
+    return { error: 'This coupon code is not valid' };
+  }
+
+  if (coupon.expires_at && Date.parse(coupon.expires_at) <= Date.now()) {
+    return { error: 'This coupon has expired' };
+  }
+
+  if (
+    coupon.course_id &&
+    String(coupon.course_id) !== String(course.courseid)
+  ) {
+    return { error: 'This coupon cannot be used for this course' };
+  }
+
+  if (
+    coupon.max_redemptions &&
+    (await countRedemptions(coupon.coupon_id)) >= coupon.max_redemptions
+  ) {
+    return { error: 'This coupon has reached its redemption limit' };
+  }
+
+  if (
+    coupon.per_user_limit &&
+    (await countRedemptions(coupon.coupon_id, userId)) >= coupon.per_user_limit
+  ) {
+    return { error: 'You have already used this coupon' };
+  }
+
+  const price = Number(course.price) || 0;
+  const discount = discountFor(coupon, price);
+
+  return {
+    coupon,
+    discount,
+    finalAmount: roundMoney(price - discount)
+  };
+};
@@ -0,0 +1,30 @@
+const { supabase } = require('./supabaseclient');
+
+// Recompute the cached review count and rating average of a course
+exports.recomputeCourseRating = async (courseId) => {
+  const { data: allReviews, error } = await supabase
+    .from('review_ratings')
+    .select('rating')
+    .eq('course_id', courseId);
+
+  if (error || !allReviews) return;
+
+  const totalReviews = allReviews.length;
+  const avgRating =
+    totalReviews > 0
+      ? allReviews.reduce((sum, item) => sum + Number(item.rating), 0) /
+        totalReviews
+      : 0;
+
+  const { error: updateError } = await supabase
+    .from('courses')
+    .update({
+      reviews: totalReviews,
+      ratingavg: Number(avgRating.toFixed(1))
+    })
+    .eq('courseid', courseId);
+
+  if (updateError) {
+    console.error('Error updating course stats:', updateError);
+  }
+};
@@ -0,0 +1,126 @@
+const { supabase } = require('./supabaseclient');
+const { runInBackground } = require('./backgroundJobs');
+const { withoutCredentials } = require('./userFields');
+
+const EXPORT_BUCKET = 'exports';
+const LINK_TTL_SECONDS = 24 * 60 * 60;
+
+exports.LINK_TTL_SECONDS = LINK_TTL_SECONDS;
+
+// Every table holding personal data, the column linking it to the user and,
+// where a table also holds credentials, the columns that may be exported
+const SECTIONS = [
+  ['payments', 'payments', 'user_id'],
+  ['enrollments', 'enrollments', 'user_id'],
+  ['reviews', 'review_ratings', 'user_id'],
+  ['videoProgress', 'video_progress', 'user_id'],
+  ['authoredCourses', 'courses', 'author'],
+  ['notifications', 'notifications', 'user_id'],
+  ['notificationPreferences', 'notification_preferences', 'user_id'],
+  ['cart', 'cart_items', 'user_id'],
+  ['refundRequests', 'refund_requests', 'user_id'],
+  ['sessions', 'sessions', 'user_id'],
+  [
+    'apiKeys',
+    'api_keys',
+    'user_id',
+    'key_id, name, lookup_id, scopes, created_at, last_used_at, expires_at, revoked_at'
+  ],
+  ['instructorApplications', 'instructor_applications', 'user_id'],
+  ['subscriptions', 'subscriptions', 'user_id'],
+  ['organizationMemberships', 'organization_members', 'user_id'],
+  ['organizationInvites', 'organization_invites', 'user_id'],
+  ['seatAssignments', 'seat_assignments', 'user_id'],
+  ['impersonationLogs', 'impersonation_logs', 'user_id']
+];
+
+const collectUserData = async (userId) => {
+  const { data: profile, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .single();
+
+  if (error || !profile) throw new Error('User profile not found');
+
+  // Credentials never leave the database, even for their owner
+  const bundle = {
+    exportedAt: new Date().toISOString(),
+    profile: withoutCredentials(profile)
+  };
+
+  for (const [key, table, column, columns = '*'] of SECTIONS) {
+    const { data, error: sectionError } = await supabase
+      .from(table)
+      .select(columns)
+      .eq(column, userId);
+
+    if (sectionError) {
+      throw new Error(`Failed to export ${table}: ${sectionError.message}`);
+    }
+
+    bundle[key] = data || [];
+  }
+
+  return bundle;
+};
+
+const updateJob = (exportId, fields) =>
+  supabase.from('data_exports').update(fields).eq('export_id', exportId);
+
+// Build the bundle, store it in the private exports bucket and mark the job
+exports.processExport = async (job) => {
+  await updateJob(job.export_id, { status: 'processing' });
+
+  try {
+    const bundle = await collectUserData(job.user_id);
+    const filePath = `${job.user_id}/export-${job.export_id}.json`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(EXPORT_BUCKET)
+      .upload(filePath, Buffer.from(JSON.stringify(bundle, null, 2)), {
+        contentType: 'application/json',
+        upsert: true
+      });
+
+    if (uploadError) throw new Error(uploadError.message);
+
+    await updateJob(job.export_id, {
+      status: 'completed',
+      file_path: filePath,
+      completed_at: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error(`Data export ${job.export_id} failed:`, err);
+    await updateJob(job.export_id, { status: 'failed', error: err.message });
+  }
+};
+
+exports.queueExport = (job) =>
+  runInBackground(`data-export:${job.export_id}`, () =>
+    exports.processExport(job)
+  );
+
+exports.createDownloadUrl = async (filePath) => {
+  const { data, error } = await supabase.storage
+    .from(EXPORT_BUCKET)
+    .createSignedUrl(filePath, LINK_TTL_SECONDS, { download: true });
+
+  if (error) return null;
+  return data.signedUrl;
+};
+
+// Exports interrupted by a restart are picked up again at startup
+exports.resumePendingExports = async () => {
+  const { data, error } = await supabase
+    .from('data_exports')
+    .select('*')
+    .in('status', ['pending', 'processing']);
+
+  if (error) {
+    console.error('Failed to load pending data exports:', error);
+    return;
+  }
+
+  (data || []).forEach((job) => exports.queueExport(job));
+};
@@ -0,0 +1,251 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { supabase } = require('./supabaseclient');
+const { runInBackground } = require('./backgroundJobs');
+const { render, resolveLocale, TEMPLATE_NAMES } = require('./emailTemplates');
+const { registerChannel } = require('./notifications');
+const { frontendUrl } = require('./oauthClient');
+
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 60 * 1000;
+// A claimed message whose worker died becomes due again after this long
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+const FROM =
+  process.env.EMAIL_FROM ||
+  `${process.env.APP_NAME || 'SAAS App'} <no-reply@localhost>`;
+
+// Transports take a rendered message { from, to, subject, html, text }.
+// EMAIL_TRANSPORT picks one: smtp, file (writes to EMAIL_OUTBOX_DIR) or
+// console (the default outside production).
+const smtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return { send: (message) => transporter.sendMail(message) };
+};
+
+const fileTransport = (dir = process.env.EMAIL_OUTBOX_DIR || 'tmp/emails') => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(
+      dir,
+      `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+    );
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+  }
+});
+
+const consoleTransport = () => ({
+  send: async (message) => {
+    console.log(
+      `📧 Email to ${message.to}: ${message.subject}\n${message.text}`
+    );
+  }
+});
+
+exports.smtpTransport = smtpTransport;
+exports.fileTransport = fileTransport;
+exports.consoleTransport = consoleTransport;
+
+const defaultTransport = () => {
+  const name =
+    process.env.EMAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  if (name === 'smtp') return smtpTransport();
+  if (name === 'file') return fileTransport();
+  return consoleTransport();
+};
+
+let transport;
+
+exports.setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+exports.getTransport = () => {
+  if (!transport) transport = defaultTransport();
+  return transport;
+};
+
+// Deliver one queued row. The row is claimed first by pushing its
+// next_attempt_at forward, so the background send and the queue worker
+// never deliver the same message twice.
+const deliver = async (row) => {
+  const attempts = row.attempts + 1;
+
+  const { data: claimed } = await supabase
+    .from('email_outbox')
+    .update({
+      attempts,
+      next_attempt_at: new Date(Date.now() + CLAIM_TIMEOUT_MS).toISOString()
+    })
+    .eq('email_id', row.email_id)
+    .eq('status', 'pending')
+    .eq('attempts', row.attempts)
+    .select('email_id');
+
+  if (!claimed || claimed.length === 0) return;
+
+  try {
+    const { subject, html, text } = render(row.template, row.locale, row.data);
+    await exports.getTransport().send({
+      from: FROM,
+      to: row.to_email,
+      subject,
+      html,
+      text
+    });
+
+    await supabase
+      .from('email_outbox')
+      .update({
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        last_error: null
+      })
+      .eq('email_id', row.email_id);
+  } catch (err) {
+    const giveUp = attempts >= MAX_ATTEMPTS;
+
+    await supabase
+      .from('email_outbox')
+      .update({
+        status: giveUp ? 'failed' : 'pending',
+        last_error: err.message,
+        next_attempt_at: giveUp
+          ? null
+          : new Date(
+              Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)
+            ).toISOString()
+      })
+      .eq('email_id', row.email_id);
+
+    console.error(
+      `Email ${row.email_id} (${row.template}) failed, attempt ${attempts}/${MAX_ATTEMPTS}:`,
+      err.message
+    );
+  }
+};
+
+// Queue an email and try to send it straight away. Emails with the same
+// dedupeKey are only ever queued once (e.g. one receipt per Stripe session).
+// Never throws: email problems must not fail the request that sent them.
+exports.sendEmail = async ({ to, template, locale, data = {}, dedupeKey }) => {
+  try {
+    if (!to) return;
+    if (!TEMPLATE_NAMES.includes(template)) {
+      throw new Error(`Unknown email template: ${template}`);
+    }
+
+    const row = {
+      to_email: to,
+      template,
+      locale: resolveLocale(locale),
+      data,
+      dedupe_key: dedupeKey || null,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    };
+
+    const query = dedupeKey
+      ? supabase
+          .from('email_outbox')
+          .upsert([row], { onConflict: 'dedupe_key', ignoreDuplicates: true })
+      : supabase.from('email_outbox').insert([row]);
+
+    const { data: queued, error } = await query.select();
+
+    if (error) throw new Error(error.message);
+    // Duplicate dedupeKey: already queued or sent
+    if (!queued || queued.length === 0) return;
+
+    runInBackground(`email:${template}`, () => deliver(queued[0]));
+  } catch (err) {
+    console.error(`Failed to queue ${template} email:`, err.message);
+  }
+};
+
+// Email a registered user in their preferred language
+exports.emailUser = async (userId, template, data = {}, options = {}) => {
+  const { data: user } = await supabase
+    .from('users')
+    .select('email, full_name, locale')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!user || !user.email) return;
+
+  await exports.sendEmail({
+    to: user.email,
+    template,
+    locale: user.locale,
+    data: { name: user.full_name, ...data },
+    dedupeKey: options.dedupeKey
+  });
+};
+
+// Retry everything that is due
+exports.processEmailQueue = async () => {
+  const { data: due, error } = await supabase
+    .from('email_outbox')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(50);
+
+  if (error) {
+    console.error('Failed to load email queue:', error);
+    return;
+  }
+
+  for (const row of due || []) {
+    await deliver(row);
+  }
+};
+
+exports.scheduleEmailQueue = (intervalMs = 60 * 1000) => {
+  const run = () =>
+    exports
+      .processEmailQueue()
+      .catch((err) => console.error('Email queue run failed:', err));
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// Email channel for the notification center
+registerChannel('email', async (recipients, type, message) => {
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('email, full_name, locale')
+    .in('id', recipients);
+
+  if (error) throw new Error(error.message);
+
+  for (const user of users || []) {
+    await exports.sendEmail({
+      to: user.email,
+      template: 'notification',
+      locale: user.locale,
+      data: {
+        name: user.full_name,
+        title: message.title,
+        body: message.body,
+        url: message.link ? frontendUrl(message.link) : null
+      }
+    });
+  }
+});
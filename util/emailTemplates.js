@@ -0,0 +1,189 @@
+// Transactional email templates. Each template has one entry per locale
+// returning { subject, greeting, paragraphs, action? }; render() wraps that
+// in the shared HTML and plain-text layouts.
+
+const SUPPORTED_LOCALES = ['en', 'es'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.EMAIL_LOCALE)
+  ? process.env.EMAIL_LOCALE
+  : 'en';
+
+exports.SUPPORTED_LOCALES = SUPPORTED_LOCALES;
+exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
+
+const APP_NAME = process.env.APP_NAME || 'SAAS App';
+
+const formatAmount = (amount, currency, locale) => {
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: (currency || 'usd').toUpperCase()
+    }).format(Number(amount) || 0);
+  } catch (err) {
+    return `${amount} ${currency || ''}`.trim();
+  }
+};
+
+const formatDate = (date, locale) =>
+  new Date(date || Date.now()).toLocaleDateString(locale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+const TEMPLATES = {
+  welcome: {
+    en: (d) => ({
+      subject: `Welcome to ${APP_NAME}`,
+      greeting: d.name ? `Hi ${d.name},` : 'Hi,',
+      paragraphs: [
+        `Thanks for signing up to ${APP_NAME}. Once you have confirmed your email address you can start browsing courses.`
+      ],
+      action: { label: 'Browse courses', url: d.url }
+    }),
+    es: (d) => ({
+      subject: `Bienvenido a ${APP_NAME}`,
+      greeting: d.name ? `Hola ${d.name}:` : 'Hola:',
+      paragraphs: [
+        `Gracias por registrarte en ${APP_NAME}. Cuando confirmes tu correo electrónico podrás empezar a explorar los cursos.`
+      ],
+      action: { label: 'Ver cursos', url: d.url }
+    })
+  },
+
+  purchaseReceipt: {
+    en: (d, locale) => ({
+      subject: `Your receipt for ${d.courseTitle}`,
+      greeting: d.name ? `Hi ${d.name},` : 'Hi,',
+      paragraphs: [
+        `Thank you for your purchase. You are now enrolled in ${d.courseTitle}.`,
+        `Amount paid: ${formatAmount(d.amount, d.currency, locale)}`,
+        `Date: ${formatDate(d.paidAt, locale)}`,
+        `Reference: ${d.reference}`
+      ],
+      action: { label: 'Start learning', url: d.url }
+    }),
+    es: (d, locale) => ({
+      subject: `Tu recibo de ${d.courseTitle}`,
+      greeting: d.name ? `Hola ${d.name}:` : 'Hola:',
+      paragraphs: [
+        `Gracias por tu compra. Ya estás inscrito en ${d.courseTitle}.`,
+        `Importe pagado: ${formatAmount(d.amount, d.currency, locale)}`,
+        `Fecha: ${formatDate(d.paidAt, locale)}`,
+        `Referencia: ${d.reference}`
+      ],
+      action: { label: 'Empezar a aprender', url: d.url }
+    })
+  },
+
+  coursePublished: {
+    en: (d) => ({
+      subject: `${d.courseTitle} is now live`,
+      greeting: d.name ? `Hi ${d.name},` : 'Hi,',
+      paragraphs: [
+        `Your course ${d.courseTitle} has been published and is now visible to learners.`
+      ],
+      action: { label: 'View course', url: d.url }
+    }),
+    es: (d) => ({
+      subject: `${d.courseTitle} ya está publicado`,
+      greeting: d.name ? `Hola ${d.name}:` : 'Hola:',
+      paragraphs: [
+        `Tu curso ${d.courseTitle} se ha publicado y ya es visible para los estudiantes.`
+      ],
+      action: { label: 'Ver curso', url: d.url }
+    })
+  },
+
+  // Email channel of the notification center
+  notification: {
+    en: (d) => ({
+      subject: d.title,
+      greeting: d.name ? `Hi ${d.name},` : 'Hi,',
+      paragraphs: [d.title, d.body].filter(Boolean),
+      action: d.url ? { label: 'Open', url: d.url } : null,
+      footer:
+        'You can change which emails you receive in your notification preferences.'
+    }),
+    es: (d) => ({
+      subject: d.title,
+      greeting: d.name ? `Hola ${d.name}:` : 'Hola:',
+      paragraphs: [d.title, d.body].filter(Boolean),
+      action: d.url ? { label: 'Abrir', url: d.url } : null,
+      footer:
+        'Puedes elegir qué correos recibes en tus preferencias de notificación.'
+    })
+  }
+};
+
+exports.TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const renderHtml = ({
+  subject,
+  greeting,
+  paragraphs,
+  action,
+  footer
+}) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(subject)}</title>
+  </head>
+  <body style="margin:0;padding:24px;background:#f4f4f7;font-family:Arial,Helvetica,sans-serif;color:#333;">
+    <div style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:32px;">
+      <h2 style="margin-top:0;">${escapeHtml(APP_NAME)}</h2>
+      <p>${escapeHtml(greeting)}</p>
+      ${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n      ')}
+      ${
+        action && action.url
+          ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:12px 20px;background:#4f46e5;color:#fff;text-decoration:none;border-radius:6px;">${escapeHtml(action.label)}</a></p>`
+          : ''
+      }
+      ${footer ? `<p style="font-size:12px;color:#888;">${escapeHtml(footer)}</p>` : ''}
+    </div>
+  </body>
+</html>`;
+
+const renderText = ({ greeting, paragraphs, action, footer }) =>
+  [
+    greeting,
+    ...paragraphs,
+    action && action.url ? `${action.label}: ${action.url}` : null,
+    footer ? `--\n${footer}` : null
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+exports.resolveLocale = (locale) => {
+  const base = String(locale || '')
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : DEFAULT_LOCALE;
+};
+
+// Render a template to { subject, html, text } in the given locale, falling
+// back to the default locale.
+exports.render = (template, locale, data = {}) => {
+  const variants = TEMPLATES[template];
+  if (!variants) throw new Error(`Unknown email template: ${template}`);
+
+  const resolved = exports.resolveLocale(locale);
+  const content = (variants[resolved] || variants[DEFAULT_LOCALE])(
+    data,
+    resolved
+  );
+
+  return {
+    subject: content.subject,
+    html: renderHtml(content),
+    text: renderText(content)
+  };
+};
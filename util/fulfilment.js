@@ -0,0 +1,245 @@
+const { supabase } = require('./supabaseclient');
+const { notify } = require('./notifications');
+const { emailUser } = require('./email');
+const { frontendUrl } = require('./oauthClient');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// Insert a row, or fetch the one a unique constraint says is already there.
+// The database settles races between the webhook and verifyPayment: relies
+// on unique (stripe_session_id, course_id) on payments, unique
+// (user_id, course_id) on enrollments, unique stripe_session_id on
+// organization_licenses and the primary key of stripe_events.
+const insertOrFetch = async (table, row, match) => {
+  const { data, error } = await supabase.from(table).insert([row]).select();
+
+  if (!error) return { row: data[0], created: true };
+  if (error.code !== UNIQUE_VIOLATION) throw new Error(error.message);
+
+  let query = supabase.from(table).select('*');
+  Object.entries(match).forEach(([column, value]) => {
+    query = query.eq(column, value);
+  });
+
+  const { data: existing, error: fetchError } = await query.maybeSingle();
+  if (fetchError) throw new Error(fetchError.message);
+  if (!existing) throw new Error(`Conflicting ${table} row not found`);
+
+  return { row: existing, created: false };
+};
+
+exports.insertOrFetch = insertOrFetch;
+
+// The user's enrollment in a course, created if missing
+const ensureEnrollment = (userId, courseId) =>
+  insertOrFetch(
+    'enrollments',
+    {
+      user_id: userId,
+      course_id: courseId,
+      enrollment_date: new Date().toISOString()
+    },
+    { user_id: userId, course_id: courseId }
+  );
+
+exports.ensureEnrollment = ensureEnrollment;
+
+// Coupon redemption recorded on the payment row, from checkout metadata
+const couponFields = (session) =>
+  session.metadata?.coupon_id
+    ? {
+        coupon_id: session.metadata.coupon_id,
+        discount_amount: Number(session.metadata.discount_amount) || 0
+      }
+    : {};
+
+const sendReceipt = async (session, userId, courseId, amount) => {
+  const { data: course } = await supabase
+    .from('courses')
+    .select('title')
+    .eq('courseid', courseId)
+    .maybeSingle();
+
+  await emailUser(
+    userId,
+    'purchaseReceipt',
+    {
+      courseTitle: course ? course.title : 'your course',
+      amount,
+      currency: session.currency,
+      paidAt: new Date().toISOString(),
+      reference: session.id,
+      url: frontendUrl(`/courses/${courseId}`)
+    },
+    { dedupeKey: `receipt:${session.id}:${courseId}` }
+  );
+};
+
+// Payment and enrollment for one course of a paid session. Safe to call any
+// number of times: only the call that records the payment sends the receipt.
+const fulfilCourse = async (session, { userId, courseId, amount }) => {
+  const payment = await insertOrFetch(
+    'payments',
+    {
+      user_id: userId,
+      course_id: courseId,
+      amount,
+      payment_status: 'succeeded',
+      stripe_session_id: session.id,
+      stripe_payment_intent: session.payment_intent,
+      ...couponFields(session)
+    },
+    { stripe_session_id: session.id, course_id: courseId }
+  );
+
+  // Refunded or disputed since: a late replay must not restore access
+  if (payment.row.payment_status !== 'succeeded') {
+    return { payment: payment.row, enrollment: null, created: false };
+  }
+
+  const enrollment = await ensureEnrollment(userId, courseId);
+
+  if (payment.created) await sendReceipt(session, userId, courseId, amount);
+
+  return {
+    payment: payment.row,
+    enrollment: enrollment.row,
+    created: payment.created
+  };
+};
+
+// Single-course checkout, from the webhook or verifyPayment
+exports.fulfilCoursePurchase = async (session) => {
+  const courseId = session.client_reference_id || session.metadata?.course_id;
+  const userId = session.metadata?.user_id;
+  const amount = (session.amount_total || 0) / 100;
+
+  if (!courseId || !userId) {
+    throw new Error(`Checkout session ${session.id} is missing metadata`);
+  }
+
+  const result = await fulfilCourse(session, { userId, courseId, amount });
+
+  if (result.created) {
+    notify(userId, 'payment.succeeded', {
+      title: 'Purchase successful',
+      body: `Your payment of ${amount} was received. You are now enrolled.`,
+      link: `/courses/${courseId}`,
+      data: {
+        course_id: courseId,
+        payment_id: result.payment.payment_id
+      }
+    });
+  }
+
+  return result;
+};
+
+// Cart checkout: one payment and enrollment per course line item. Returns
+// the { payment, enrollment } pairs.
+exports.fulfilCartCheckout = async (session) => {
+  const userId = session.metadata.user_id;
+  const lineItems = await stripe.checkout.sessions.listLineItems(session.id, {
+    limit: 100,
+    expand: ['data.price.product']
+  });
+
+  const purchases = [];
+
+  for (const item of lineItems.data) {
+    const courseId = item.price?.product?.metadata?.course_id;
+    if (!courseId) continue;
+
+    purchases.push(
+      await fulfilCourse(session, {
+        userId,
+        courseId,
+        amount: (item.amount_total || 0) / 100
+      })
+    );
+  }
+
+  if (purchases.length > 0) {
+    await supabase
+      .from('cart_items')
+      .delete()
+      .eq('user_id', userId)
+      .in(
+        'course_id',
+        purchases.map(({ payment }) => payment.course_id)
+      );
+  }
+
+  if (purchases.some(({ created }) => created)) {
+    notify(userId, 'payment.succeeded', {
+      title: 'Purchase successful',
+      body: `Your payment of ${(session.amount_total || 0) / 100} was received. You are now enrolled in ${purchases.length} course(s).`,
+      link: '/courses',
+      data: {
+        course_ids: purchases.map(({ payment }) => payment.course_id),
+        payment_ids: purchases.map(({ payment }) => payment.payment_id)
+      }
+    });
+  }
+
+  return purchases;
+};
+
+// A claim still processing after this long belongs to a worker that died
+// without releasing it
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Stripe delivers webhooks at least once. Returns 'claimed' when this call
+// should process the event, 'processed' for a replay of a finished event and
+// 'in_progress' while another delivery of it is still being processed.
+exports.claimEvent = async (event) => {
+  const now = new Date().toISOString();
+  const { row, created } = await insertOrFetch(
+    'stripe_events',
+    {
+      event_id: event.id,
+      type: event.type,
+      status: 'processing',
+      claimed_at: now
+    },
+    { event_id: event.id }
+  );
+
+  if (created) return 'claimed';
+  if (row.status === 'processed') return 'processed';
+
+  const { data, error } = await supabase
+    .from('stripe_events')
+    .update({ claimed_at: now })
+    .eq('event_id', event.id)
+    .eq('status', 'processing')
+    .lt('claimed_at', new Date(Date.now() - CLAIM_TIMEOUT_MS).toISOString())
+    .select();
+
+  if (error) throw new Error(error.message);
+  return data.length > 0 ? 'claimed' : 'in_progress';
+};
+
+exports.completeEvent = async (eventId) => {
+  const { error } = await supabase
+    .from('stripe_events')
+    .update({ status: 'processed', processed_at: new Date().toISOString() })
+    .eq('event_id', eventId);
+
+  if (error) {
+    console.error('Failed to mark Stripe event processed', eventId, error);
+  }
+};
+
+// Give a claimed event up again after processing failed, so Stripe's retry
+// is not mistaken for a replay
+exports.releaseEvent = async (eventId) => {
+  const { error } = await supabase
+    .from('stripe_events')
+    .delete()
+    .eq('event_id', eventId);
+
+  if (error) console.error('Failed to release Stripe event', eventId, error);
+};
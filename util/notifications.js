@@ -0,0 +1,120 @@
+const { supabase } = require('./supabaseclient');
+const { runInBackground } = require('./backgroundJobs');
+
+// Every event that produces notifications, with the channels it is sent on
+// unless the user changed their preferences.
+const NOTIFICATION_TYPES = {
+  'course.new_video': {
+    description: 'A new video was added to a course you are enrolled in',
+    defaults: { in_app: true, email: false }
+  },
+  'review.received': {
+    description: 'A learner reviewed one of your courses',
+    defaults: { in_app: true, email: false }
+  },
+  'payment.succeeded': {
+    description: 'Your course purchase was successful',
+    // The purchase receipt email is always sent, so no duplicate by default
+    defaults: { in_app: true, email: false }
+  },
+  'organization.invite': {
+    description: 'You were invited to join an organization',
+    defaults: { in_app: true, email: true }
+  }
+};
+
+const CHANNELS = ['in_app', 'email'];
+
+exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+exports.CHANNELS = CHANNELS;
+
+// in_app is delivered by writing to the inbox; other channels are plugged
+// in by their own modules through registerChannel (email: util/email.js).
+const channelHandlers = {
+  in_app: async (recipients, type, message) => {
+    const { error } = await supabase.from('notifications').insert(
+      recipients.map((userId) => ({
+        user_id: userId,
+        type,
+        title: message.title,
+        body: message.body || null,
+        link: message.link || null,
+        data: message.data || null
+      }))
+    );
+    if (error) throw new Error(error.message);
+  }
+};
+
+exports.registerChannel = (channel, handler) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  channelHandlers[channel] = handler;
+};
+
+// Stored preferences merged over the defaults: { type: { channel: bool } }
+const mergePreferences = (stored = {}) => {
+  const merged = {};
+  Object.entries(NOTIFICATION_TYPES).forEach(([type, { defaults }]) => {
+    merged[type] = { ...defaults, ...(stored[type] || {}) };
+  });
+  return merged;
+};
+
+exports.getPreferences = async (userId) => {
+  const { data } = await supabase
+    .from('notification_preferences')
+    .select('preferences')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return mergePreferences(data ? data.preferences : {});
+};
+
+exports.mergePreferences = mergePreferences;
+
+const deliver = async (userIds, type, message) => {
+  const recipients = [...new Set(userIds.filter(Boolean))];
+  if (recipients.length === 0) return;
+
+  const { data: rows, error } = await supabase
+    .from('notification_preferences')
+    .select('user_id, preferences')
+    .in('user_id', recipients);
+
+  if (error) throw new Error(error.message);
+
+  const storedByUser = {};
+  (rows || []).forEach((row) => {
+    storedByUser[row.user_id] = row.preferences;
+  });
+
+  for (const channel of CHANNELS) {
+    const handler = channelHandlers[channel];
+    if (!handler) continue;
+
+    const optedIn = recipients.filter(
+      (userId) => mergePreferences(storedByUser[userId])[type][channel]
+    );
+    if (optedIn.length === 0) continue;
+
+    try {
+      await handler(optedIn, type, message);
+    } catch (err) {
+      console.error(`Failed to deliver ${type} via ${channel}:`, err);
+    }
+  }
+};
+
+// Fire-and-forget: notifications never delay or fail the request that
+// produced them.
+exports.notify = (userIds, type, message) => {
+  if (!NOTIFICATION_TYPES[type]) {
+    console.error(`Unknown notification type: ${type}`);
+    return;
+  }
+
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+  runInBackground(`notify:${type}`, () => deliver(ids, type, message));
+};
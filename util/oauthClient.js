@@ -0,0 +1,93 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const PKCE_COOKIE = 'oauth_pkce';
+const PKCE_COOKIE_MAX_AGE = 10 * 60 * 1000;
+
+exports.SUPPORTED_PROVIDERS = ['google', 'github'];
+
+// Supabase keeps the PKCE code verifier in client storage between starting
+// the OAuth flow and exchanging the code. On the server every request gets
+// its own client, and the verifier is carried between the two requests in a
+// short-lived httpOnly cookie.
+exports.createPkceClient = (initialItems = {}) => {
+  const items = { ...initialItems };
+
+  const client = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASEKEY,
+    {
+      auth: {
+        flowType: 'pkce',
+        autoRefreshToken: false,
+        persistSession: true,
+        detectSessionInUrl: false,
+        storage: {
+          getItem: (key) => (key in items ? items[key] : null),
+          setItem: (key, value) => {
+            items[key] = value;
+          },
+          removeItem: (key) => {
+            delete items[key];
+          }
+        }
+      }
+    }
+  );
+
+  return { client, items };
+};
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // Linking starts with an XHR from the frontend's origin, so in production
+  // the cookie is cross-site and needs SameSite=None, like the auth cookies
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+});
+
+exports.savePkceState = (res, items, redirect) => {
+  // Only the verifier is needed for the exchange; never persist a session
+  const verifiers = {};
+  Object.keys(items)
+    .filter((key) => key.endsWith('-code-verifier'))
+    .forEach((key) => {
+      verifiers[key] = items[key];
+    });
+
+  res.cookie(PKCE_COOKIE, JSON.stringify({ items: verifiers, redirect }), {
+    ...cookieOptions(),
+    maxAge: PKCE_COOKIE_MAX_AGE
+  });
+};
+
+exports.readPkceState = (req) => {
+  try {
+    return JSON.parse(req.cookies && req.cookies[PKCE_COOKIE]);
+  } catch (err) {
+    return null;
+  }
+};
+
+exports.clearPkceState = (res) => {
+  res.clearCookie(PKCE_COOKIE, cookieOptions());
+};
+
+exports.callbackUrl = (req) => {
+  const base =
+    process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/saas/user/oauth/callback`;
+};
+
+exports.frontendUrl = (path = '/') => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(
+    /\/$/,
+    ''
+  );
+  return `${base}${path}`;
+};
+
+// Only allow redirects to paths on our own frontend
+exports.safeRedirectPath = (path) =>
+  typeof path === 'string' && path.startsWith('/') && !path.startsWith('//')
+    ? path
+    : '/';
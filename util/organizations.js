@@ -0,0 +1,172 @@
+const { supabase } = require('./supabaseclient');
+const { insertOrFetch } = require('./fulfilment');
+
+const ORG_ROLES = ['owner', 'manager', 'member'];
+
+exports.ORG_ROLES = ORG_ROLES;
+
+// Seats per course for an organization: purchased, in use and still free.
+// Each license counts its own seats_used (see claimSeat).
+exports.seatSummary = async (orgId) => {
+  const { data: licenses, error } = await supabase
+    .from('organization_licenses')
+    .select('course_id, seats, seats_used')
+    .eq('org_id', orgId);
+
+  if (error) throw new Error(error.message);
+
+  const byCourse = {};
+  (licenses || []).forEach(({ course_id, seats, seats_used }) => {
+    byCourse[course_id] = byCourse[course_id] || {
+      course_id,
+      seats_total: 0,
+      seats_assigned: 0
+    };
+    byCourse[course_id].seats_total += seats;
+    byCourse[course_id].seats_assigned += seats_used || 0;
+  });
+
+  return Object.values(byCourse).map((course) => ({
+    ...course,
+    seats_available: course.seats_total - course.seats_assigned
+  }));
+};
+
+// Attempts before giving up on a license that keeps changing under us
+const SEAT_CLAIM_ATTEMPTS = 5;
+
+// Move a license's seats_used by delta, only if no one else changed it since
+// it was read. Returns whether the write went through.
+const swapSeatsUsed = async (license, delta) => {
+  const used = license.seats_used || 0;
+  const { data, error } = await supabase
+    .from('organization_licenses')
+    .update({ seats_used: used + delta })
+    .eq('license_id', license.license_id)
+    .eq('seats_used', used)
+    .select('license_id');
+
+  if (error) throw new Error(error.message);
+  return data.length > 0;
+};
+
+// Take one free seat of a course from the organization's licenses. Each
+// claim is a conditional write on seats_used, so concurrent assignments can
+// never use more seats than were bought. Returns the license the seat came
+// from, or null when none is free.
+exports.claimSeat = async (orgId, courseId) => {
+  for (let attempt = 0; attempt < SEAT_CLAIM_ATTEMPTS; attempt += 1) {
+    const { data: licenses, error } = await supabase
+      .from('organization_licenses')
+      .select('license_id, seats, seats_used')
+      .eq('org_id', orgId)
+      .eq('course_id', courseId);
+
+    if (error) throw new Error(error.message);
+
+    const free = licenses.filter((l) => (l.seats_used || 0) < l.seats);
+    if (free.length === 0) return null;
+
+    for (const license of free) {
+      if (await swapSeatsUsed(license, 1)) return license;
+    }
+  }
+
+  throw new Error('Seats are being assigned concurrently, please retry');
+};
+
+// Give a seat claimed with claimSeat back to its license
+const releaseSeat = async (licenseId) => {
+  for (let attempt = 0; attempt < SEAT_CLAIM_ATTEMPTS; attempt += 1) {
+    const { data: license, error } = await supabase
+      .from('organization_licenses')
+      .select('license_id, seats_used')
+      .eq('license_id', licenseId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!license || !license.seats_used) return;
+
+    if (await swapSeatsUsed(license, -1)) return;
+  }
+
+  throw new Error(`Could not release a seat of license ${licenseId}`);
+};
+
+exports.releaseSeat = releaseSeat;
+
+// Record a paid seat purchase. Safe to call from both the webhook and
+// verifyPayment, even at the same time: the license is unique per Stripe
+// session.
+exports.fulfilSeatPurchase = async (session) => {
+  const {
+    org_id: orgId,
+    course_id: courseId,
+    user_id: userId
+  } = session.metadata || {};
+  const seats = Number(session.metadata && session.metadata.seats);
+
+  if (!orgId || !courseId || !seats) {
+    throw new Error(`Seat purchase ${session.id} is missing metadata`);
+  }
+
+  const { row: license, created } = await insertOrFetch(
+    'organization_licenses',
+    {
+      org_id: orgId,
+      course_id: courseId,
+      seats,
+      purchased_by: userId || null,
+      stripe_session_id: session.id
+    },
+    { stripe_session_id: session.id }
+  );
+
+  // Only the call that created the license records the payment
+  if (!created) return { license, created };
+
+  const { error: paymentError } = await supabase.from('payments').insert([
+    {
+      user_id: userId || null,
+      course_id: courseId,
+      org_id: orgId,
+      seats,
+      amount: (session.amount_total || 0) / 100,
+      payment_status: 'succeeded',
+      stripe_session_id: session.id,
+      stripe_payment_intent: session.payment_intent
+    }
+  ]);
+
+  if (paymentError) {
+    console.error('Failed to record seat purchase payment:', paymentError);
+  }
+
+  return { license, created };
+};
+
+// Free a seat and remove the enrollment it granted
+exports.revokeAssignment = async (assignment) => {
+  const { data: revoked, error } = await supabase
+    .from('seat_assignments')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('assignment_id', assignment.assignment_id)
+    .is('revoked_at', null)
+    .select('assignment_id');
+
+  if (error) throw new Error(error.message);
+
+  // Only the call that revoked it frees the seat
+  if (revoked.length > 0 && assignment.license_id) {
+    await releaseSeat(assignment.license_id);
+  }
+
+  if (assignment.enrollment_id) {
+    const { error: enrollmentError } = await supabase
+      .from('enrollments')
+      .delete()
+      .eq('enrollment_id', assignment.enrollment_id);
+
+    if (enrollmentError) throw new Error(enrollmentError.message);
+  }
+};
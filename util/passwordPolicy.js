@@ -0,0 +1,20 @@
+// Password strength rules shared by every route that sets a password.
+// Returns a human-readable message for the first failed rule, or null.
+module.exports = (password) => {
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'Password must be at least 8 characters long';
+  }
+  if (password.length > 72) {
+    return 'Password must be at most 72 characters long';
+  }
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) {
+    return 'Password must contain both lowercase and uppercase letters';
+  }
+  if (!/[0-9]/.test(password)) {
+    return 'Password must contain at least one number';
+  }
+  if (!/[^A-Za-z0-9]/.test(password)) {
+    return 'Password must contain at least one special character';
+  }
+  return null;
+};
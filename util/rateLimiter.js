@@ -0,0 +1,149 @@
+const AppError = require('./appError');
+const catchAsync = require('./catchAsync');
+
+// In-process store. Good enough for a single instance; when running several
+// instances plug in a shared backend (e.g. Redis) exposing the same async
+// interface through setStore().
+class MemoryStore {
+  constructor(cleanupIntervalMs = 60 * 1000) {
+    this.entries = new Map();
+    this.cleanup = setInterval(() => this.prune(), cleanupIntervalMs);
+    this.cleanup.unref();
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Count a hit in a fixed window; the window starts on the first hit.
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= now) {
+      const value = { count: 1, resetAt: now + windowMs };
+      this.entries.set(key, { value, expiresAt: value.resetAt });
+      return value;
+    }
+
+    entry.value.count += 1;
+    return entry.value;
+  }
+}
+
+let defaultStore = new MemoryStore();
+
+exports.MemoryStore = MemoryStore;
+
+exports.setStore = (store) => {
+  defaultStore = store;
+};
+
+exports.getStore = () => defaultStore;
+
+const tooManyRequests = (message, resetAt) => {
+  const err = new AppError(message, 429);
+  err.retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  return err;
+};
+
+exports.tooManyRequests = tooManyRequests;
+
+exports.byIp = (req) => req.ip;
+
+exports.byEmail = (req) =>
+  req.body && req.body.email
+    ? String(req.body.email).trim().toLowerCase()
+    : null;
+
+// Express middleware limiting each key (IP by default) to `max` requests per
+// `windowMs`. A keyGenerator returning null skips the limiter for that request.
+exports.rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = exports.byIp,
+  message = 'Too many requests. Please try again later',
+  store
+}) =>
+  catchAsync(async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const { count, resetAt } = await (store || defaultStore).increment(
+      `rl:${name}:${key}`,
+      windowMs
+    );
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+
+    if (count > max) {
+      return next(tooManyRequests(message, resetAt));
+    }
+
+    next();
+  });
+
+// Progressive lockout for repeated failures on one key (e.g. an account).
+// After `threshold` consecutive failures the key is locked for `baseLockMs`,
+// and every further failure doubles the lock up to `maxLockMs`.
+exports.createLockout = ({
+  name,
+  threshold = 5,
+  baseLockMs = 60 * 1000,
+  maxLockMs = 60 * 60 * 1000,
+  resetAfterMs = 24 * 60 * 60 * 1000,
+  store
+}) => {
+  const storeFor = () => store || defaultStore;
+  const keyFor = (key) => `lock:${name}:${key}`;
+
+  return {
+    // Returns the time the lock ends, or null if the key is not locked
+    async lockedUntil(key) {
+      const state = await storeFor().get(keyFor(key));
+      if (!state || !state.lockedUntil || state.lockedUntil <= Date.now()) {
+        return null;
+      }
+      return state.lockedUntil;
+    },
+
+    async registerFailure(key) {
+      const state = (await storeFor().get(keyFor(key))) || { failures: 0 };
+      state.failures += 1;
+
+      if (state.failures >= threshold) {
+        const lockMs = Math.min(
+          baseLockMs * 2 ** (state.failures - threshold),
+          maxLockMs
+        );
+        state.lockedUntil = Date.now() + lockMs;
+      }
+
+      await storeFor().set(keyFor(key), state, resetAfterMs);
+      return state;
+    },
+
+    async reset(key) {
+      await storeFor().delete(keyFor(key));
+    }
+  };
+};
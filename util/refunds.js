@@ -0,0 +1,257 @@
+const { supabase } = require('./supabaseclient');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+// How long after purchase a student may ask for their money back
+const REFUND_WINDOW_DAYS = Number(process.env.REFUND_WINDOW_DAYS) || 14;
+
+exports.REFUND_WINDOW_DAYS = REFUND_WINDOW_DAYS;
+
+exports.withinRefundWindow = (payment) =>
+  Date.now() - Date.parse(payment.created_at) <=
+  REFUND_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+// Payment intent behind a payment row. Older rows only kept the checkout
+// session, so look it up there and remember it.
+const paymentIntentFor = async (payment) => {
+  if (payment.stripe_payment_intent) return payment.stripe_payment_intent;
+  if (!payment.stripe_session_id) return null;
+
+  const session = await stripe.checkout.sessions.retrieve(
+    payment.stripe_session_id
+  );
+  if (!session.payment_intent) return null;
+
+  await supabase
+    .from('payments')
+    .update({ stripe_payment_intent: session.payment_intent })
+    .eq('stripe_session_id', payment.stripe_session_id);
+
+  return session.payment_intent;
+};
+
+// Payment rows paid for by a payment intent (several for a cart checkout)
+const paymentsForPaymentIntent = async (paymentIntent) => {
+  if (!paymentIntent) return [];
+
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('stripe_payment_intent', paymentIntent);
+
+  if (error) throw new Error(error.message);
+  if (data.length > 0) return data;
+
+  const sessions = await stripe.checkout.sessions.list({
+    payment_intent: paymentIntent,
+    limit: 1
+  });
+  if (sessions.data.length === 0) return [];
+
+  const { data: bySession, error: sessionError } = await supabase
+    .from('payments')
+    .update({ stripe_payment_intent: paymentIntent })
+    .eq('stripe_session_id', sessions.data[0].id)
+    .select();
+
+  if (sessionError) throw new Error(sessionError.message);
+  return bySession;
+};
+
+// Move payments that are still in one of the `from` statuses. Returns the
+// rows that changed, so concurrent handlers never act on a payment twice.
+const transitionPayments = async (payments, from, fields) => {
+  if (payments.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('payments')
+    .update(fields)
+    .in(
+      'payment_id',
+      payments.map((p) => p.payment_id)
+    )
+    .in('payment_status', from)
+    .select();
+
+  if (error) throw new Error(error.message);
+  return data;
+};
+
+// Remove the enrollments the payments granted. Seat purchases are paid by
+// an organization and have no enrollment of their own.
+const revokeEnrollments = async (payments) => {
+  for (const payment of payments.filter((p) => !p.org_id)) {
+    const { error } = await supabase
+      .from('enrollments')
+      .delete()
+      .eq('user_id', payment.user_id)
+      .eq('course_id', payment.course_id);
+
+    if (error) throw new Error(error.message);
+  }
+};
+
+const restoreEnrollments = async (payments) => {
+  for (const payment of payments.filter((p) => !p.org_id)) {
+    const { data: existing } = await supabase
+      .from('enrollments')
+      .select('enrollment_id')
+      .eq('user_id', payment.user_id)
+      .eq('course_id', payment.course_id)
+      .maybeSingle();
+
+    if (existing) continue;
+
+    const { error } = await supabase.from('enrollments').insert([
+      {
+        user_id: payment.user_id,
+        course_id: payment.course_id,
+        enrollment_date: new Date().toISOString()
+      }
+    ]);
+
+    if (error) throw new Error(error.message);
+  }
+};
+
+const settleRefund = async (payments) => {
+  const refunded = await transitionPayments(
+    payments,
+    ['succeeded', 'refunding', 'disputed'],
+    { payment_status: 'refunded' }
+  );
+  await revokeEnrollments(refunded);
+};
+
+// Refund a payment in full through Stripe and revoke its access straight
+// away. The payment is claimed first (succeeded -> refunding) and the refund
+// carries an idempotency key, so two admins acting at once refund it once;
+// returns null when another refund already holds the claim.
+// Only failures before the money moves are thrown: once Stripe has
+// refunded, a failure to settle here is left to the charge.refunded webhook.
+exports.issueRefund = async (payment, { reason } = {}) => {
+  const paymentIntent = await paymentIntentFor(payment);
+
+  if (!paymentIntent) {
+    throw new Error(`Payment ${payment.payment_id} has no Stripe charge`);
+  }
+
+  const claimed = await transitionPayments([payment], ['succeeded'], {
+    payment_status: 'refunding'
+  });
+  if (claimed.length === 0) return null;
+
+  let refund;
+  try {
+    refund = await stripe.refunds.create(
+      {
+        payment_intent: paymentIntent,
+        amount: Math.round(Number(payment.amount) * 100),
+        reason: 'requested_by_customer',
+        metadata: {
+          payment_id: String(payment.payment_id),
+          ...(reason ? { note: String(reason).slice(0, 500) } : {})
+        }
+      },
+      { idempotencyKey: `refund-${payment.payment_id}` }
+    );
+  } catch (err) {
+    await transitionPayments([payment], ['refunding'], {
+      payment_status: 'succeeded'
+    });
+    throw err;
+  }
+
+  try {
+    await settleRefund([payment]);
+  } catch (err) {
+    console.error(
+      `Refund ${refund.id} issued but payment ${payment.payment_id} not settled yet:`,
+      err
+    );
+  }
+
+  return refund;
+};
+
+// A fully refunded charge covers every payment it paid for. Partial refunds
+// only count for payments named in the refund metadata (as issueRefund
+// does), since Stripe cannot tell which course of a cart was refunded.
+const handleRefundedCharge = async (charge) => {
+  const payments = await paymentsForPaymentIntent(charge.payment_intent);
+  if (payments.length === 0) return;
+
+  let refunded = payments;
+
+  if (!charge.refunded) {
+    const refunds = await stripe.refunds.list({
+      charge: charge.id,
+      limit: 100
+    });
+    const refundedIds = new Set(
+      refunds.data
+        .filter((r) => ['pending', 'succeeded'].includes(r.status))
+        .map((r) => r.metadata && r.metadata.payment_id)
+        .filter(Boolean)
+    );
+    refunded = payments.filter((p) => refundedIds.has(String(p.payment_id)));
+
+    if (refunded.length === 0) {
+      console.warn(
+        `Partial refund on charge ${charge.id} does not name a payment; access left unchanged`
+      );
+      return;
+    }
+  }
+
+  await settleRefund(refunded);
+};
+
+// Disputes suspend access while open; a won dispute gives it back. Only
+// payments that were paid up are suspended, and the status they had is kept
+// so a won dispute never revives a payment that was refunded meanwhile.
+const handleDispute = async (dispute, closed) => {
+  const payments = await paymentsForPaymentIntent(dispute.payment_intent);
+  if (payments.length === 0) return;
+
+  if (!closed) {
+    const suspended = await transitionPayments(payments, ['succeeded'], {
+      payment_status: 'disputed',
+      pre_dispute_status: 'succeeded'
+    });
+    await revokeEnrollments(suspended);
+    return;
+  }
+
+  if (dispute.status !== 'won') return;
+
+  const suspended = payments.filter(
+    (p) => p.payment_status === 'disputed' && p.pre_dispute_status
+  );
+
+  for (const payment of suspended) {
+    const restored = await transitionPayments([payment], ['disputed'], {
+      payment_status: payment.pre_dispute_status,
+      pre_dispute_status: null
+    });
+
+    if (restored.length > 0 && payment.pre_dispute_status === 'succeeded') {
+      await restoreEnrollments(restored);
+    }
+  }
+};
+
+// Entry point for charge.* webhook events
+exports.handleChargeEvent = async (event) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'charge.refunded':
+      return handleRefundedCharge(object);
+    case 'charge.dispute.created':
+      return handleDispute(object, false);
+    case 'charge.dispute.closed':
+      return handleDispute(object, true);
+    default:
+      return undefined;
+  }
+};
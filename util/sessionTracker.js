@@ -0,0 +1,193 @@
+const { supabase } = require('./supabaseclient');
+const { getSessionId } = require('./authSession');
+
+// protect runs on every authenticated request, so last-seen is only written
+// once per interval per session.
+const TOUCH_INTERVAL = 60 * 1000;
+const lastTouched = new Map();
+let lastPruned = Date.now();
+
+// An entry older than the interval acts like a missing one, so those are
+// dropped (at most once per interval) to keep sessions that expire without
+// being revoked from piling up.
+const markTouched = (sessionId) => {
+  const now = Date.now();
+  lastTouched.set(sessionId, now);
+
+  if (now - lastPruned < TOUCH_INTERVAL) return;
+  lastPruned = now;
+
+  lastTouched.forEach((touchedAt, id) => {
+    if (now - touchedAt > TOUCH_INTERVAL) lastTouched.delete(id);
+  });
+};
+
+const clientIp = (req) => req.ip || (req.socket && req.socket.remoteAddress);
+
+// Rough "Browser on OS" label for the device list; the raw user agent is
+// stored alongside it.
+exports.describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, re]) => re.test(userAgent));
+  const os = systems.find(([, re]) => re.test(userAgent));
+
+  if (!browser && !os) return userAgent ? 'Unknown device' : 'API client';
+
+  return `${browser ? browser[0] : 'Browser'} on ${os ? os[0] : 'unknown OS'}`;
+};
+
+const sessionRow = (req, sessionId, userId) => {
+  const userAgent = req.get('user-agent') || '';
+  return {
+    session_id: sessionId,
+    user_id: userId,
+    device: exports.describeDevice(userAgent),
+    user_agent: userAgent,
+    ip_address: clientIp(req),
+    last_seen_at: new Date().toISOString()
+  };
+};
+
+// Record a freshly issued session (any login flow)
+exports.recordSession = async (req, session) => {
+  const sessionId = getSessionId(session.access_token);
+  if (!sessionId) return;
+
+  const { error } = await supabase
+    .from('sessions')
+    .upsert([sessionRow(req, sessionId, session.user.id)], {
+      onConflict: 'session_id'
+    });
+
+  if (error) {
+    console.error('Failed to record session:', error);
+    return;
+  }
+
+  markTouched(sessionId);
+};
+
+// Returns the session id, whether that session was revoked from the device
+// list (or its impersonation window ended) and, for support sessions, the
+// admin impersonating the user. Updates last-seen on the way.
+exports.touchSession = async (req, accessToken, userId) => {
+  const sessionId = getSessionId(accessToken);
+  if (!sessionId) return { sessionId: null, revoked: false };
+
+  const { data: existing } = await supabase
+    .from('sessions')
+    .select('revoked_at, impersonator_id, expires_at')
+    .eq('session_id', sessionId)
+    .maybeSingle();
+
+  if (existing && existing.revoked_at) {
+    return { sessionId, revoked: true };
+  }
+
+  if (existing && existing.impersonator_id) {
+    if (new Date(existing.expires_at) <= new Date()) {
+      await exports.revokeSessions(userId, [sessionId]);
+      return { sessionId, revoked: true };
+    }
+    // Support sessions keep the row written when they were started
+    return {
+      sessionId,
+      revoked: false,
+      impersonatorId: existing.impersonator_id,
+      expiresAt: existing.expires_at
+    };
+  }
+
+  const last = lastTouched.get(sessionId) || 0;
+  if (!existing || Date.now() - last > TOUCH_INTERVAL) {
+    markTouched(sessionId);
+    const { error } = await supabase
+      .from('sessions')
+      .upsert([sessionRow(req, sessionId, userId)], {
+        onConflict: 'session_id'
+      });
+    if (error) console.error('Failed to update session last-seen:', error);
+  }
+
+  return { sessionId, revoked: false };
+};
+
+// Record a support session an admin opened on behalf of a user
+exports.recordImpersonationSession = async (
+  req,
+  session,
+  adminId,
+  expiresAt
+) => {
+  const sessionId = getSessionId(session.access_token);
+  if (!sessionId) return null;
+
+  const { error } = await supabase.from('sessions').insert([
+    {
+      ...sessionRow(req, sessionId, session.user.id),
+      device: 'Support impersonation',
+      impersonator_id: adminId,
+      expires_at: expiresAt.toISOString()
+    }
+  ]);
+
+  if (error) {
+    console.error('Failed to record impersonation session:', error);
+    return null;
+  }
+
+  return sessionId;
+};
+
+exports.revokeSessions = async (userId, sessionIds) => {
+  let query = supabase
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (sessionIds) query = query.in('session_id', sessionIds);
+
+  const { data, error } = await query.select('session_id');
+
+  (data || []).forEach(({ session_id }) => lastTouched.delete(session_id));
+
+  return { data, error };
+};
+
+// Log every request made with an impersonation session once its response
+// has been sent, so the status code is known.
+exports.logImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    supabase
+      .from('impersonation_logs')
+      .insert([
+        {
+          session_id: req.sessionId,
+          admin_id: req.user.impersonatedBy,
+          user_id: req.user.id,
+          method: req.method,
+          path: req.originalUrl,
+          status_code: res.statusCode,
+          ip_address: req.ip
+        }
+      ])
+      .then(({ error }) => {
+        if (error) console.error('Failed to log impersonated request:', error);
+      });
+  });
+};
@@ -0,0 +1,243 @@
+const { supabase } = require('./supabaseclient');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Plans are Stripe Billing prices configured per environment
+const PLANS = {
+  monthly: {
+    name: 'Monthly all-access',
+    interval: 'month',
+    priceId: process.env.STRIPE_PRICE_MONTHLY
+  },
+  annual: {
+    name: 'Annual all-access',
+    interval: 'year',
+    priceId: process.env.STRIPE_PRICE_ANNUAL
+  }
+};
+
+// How long access survives a failed renewal while Stripe retries the card
+const GRACE_PERIOD_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS) || 7;
+
+exports.PLANS = PLANS;
+exports.GRACE_PERIOD_DAYS = GRACE_PERIOD_DAYS;
+
+const toIso = (seconds) =>
+  seconds ? new Date(seconds * 1000).toISOString() : null;
+
+// Newer Stripe API versions moved the billing period onto the items
+const periodEnd = (subscription) =>
+  (subscription.items &&
+    subscription.items.data &&
+    subscription.items.data[0] &&
+    subscription.items.data[0].current_period_end) ||
+  subscription.current_period_end;
+
+const invoiceSubscriptionId = (invoice) =>
+  (invoice.parent &&
+    invoice.parent.subscription_details &&
+    invoice.parent.subscription_details.subscription) ||
+  invoice.subscription ||
+  null;
+
+// Whether a stored subscription row currently grants access
+const grantsAccess = (row, now = Date.now()) => {
+  if (!row) return false;
+  if (['active', 'trialing'].includes(row.status)) {
+    return !row.current_period_end || Date.parse(row.current_period_end) > now;
+  }
+  if (['past_due', 'unpaid'].includes(row.status)) {
+    return !!row.grace_until && Date.parse(row.grace_until) > now;
+  }
+  return false;
+};
+
+exports.grantsAccess = grantsAccess;
+
+exports.getUserSubscription = async (userId) => {
+  const { data } = await supabase
+    .from('subscriptions')
+    .select('*')
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false })
+    .limit(5);
+
+  const rows = data || [];
+  return rows.find((row) => grantsAccess(row)) || rows[0] || null;
+};
+
+exports.hasActiveSubscription = async (userId) =>
+  grantsAccess(await exports.getUserSubscription(userId));
+
+// Enrollment first, then an all-access subscription. Returns
+// 'enrollment', 'subscription' or null.
+exports.courseAccess = async (userId, courseId) => {
+  const { data: enrollment } = await supabase
+    .from('enrollments')
+    .select('enrollment_id')
+    .eq('user_id', userId)
+    .eq('course_id', courseId)
+    .maybeSingle();
+
+  if (enrollment) return 'enrollment';
+  if (await exports.hasActiveSubscription(userId)) return 'subscription';
+  return null;
+};
+
+// A failed renewal keeps access until the grace period runs out. The period
+// starts at the first failure and is not extended by Stripe's retries; a
+// recovered subscription drops it.
+const graceUntil = (status, existing) => {
+  if (!['past_due', 'unpaid'].includes(status)) return null;
+  return (
+    (existing && existing.grace_until) ||
+    new Date(Date.now() + GRACE_PERIOD_DAYS * DAY).toISOString()
+  );
+};
+
+// Mirror a Stripe subscription object into the subscriptions table
+exports.syncSubscription = async (subscription) => {
+  const { data: existing } = await supabase
+    .from('subscriptions')
+    .select('*')
+    .eq('stripe_subscription_id', subscription.id)
+    .maybeSingle();
+
+  const metadata = subscription.metadata || {};
+  const userId = metadata.user_id || (existing && existing.user_id);
+
+  if (!userId) {
+    console.warn('Subscription without user_id metadata:', subscription.id);
+    return null;
+  }
+
+  // Late events for an account that has since been deleted
+  const { data: user } = await supabase
+    .from('users')
+    .select('id')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!user) {
+    console.warn('Subscription for a deleted user ignored:', subscription.id);
+    return null;
+  }
+
+  const row = {
+    stripe_subscription_id: subscription.id,
+    stripe_customer_id:
+      typeof subscription.customer === 'string'
+        ? subscription.customer
+        : subscription.customer && subscription.customer.id,
+    user_id: userId,
+    plan: metadata.plan || (existing && existing.plan) || null,
+    status: subscription.status,
+    current_period_end: toIso(periodEnd(subscription)),
+    cancel_at_period_end: !!subscription.cancel_at_period_end,
+    canceled_at: toIso(subscription.canceled_at),
+    grace_until: graceUntil(subscription.status, existing),
+    updated_at: new Date().toISOString()
+  };
+
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .upsert([row], { onConflict: 'stripe_subscription_id' })
+    .select();
+
+  if (error) throw new Error(error.message);
+  return data[0];
+};
+
+// Cancel every subscription of the user that Stripe could still charge.
+// Throws if one cannot be canceled; ones Stripe no longer knows are skipped.
+exports.cancelUserSubscriptions = async (userId) => {
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .select('stripe_subscription_id, status')
+    .eq('user_id', userId);
+
+  if (error) throw new Error(error.message);
+
+  const live = (data || []).filter(
+    (row) => !['canceled', 'incomplete_expired'].includes(row.status)
+  );
+
+  for (const row of live) {
+    try {
+      await stripe.subscriptions.cancel(row.stripe_subscription_id);
+    } catch (err) {
+      if (err.code !== 'resource_missing') throw err;
+    }
+  }
+
+  return live.length;
+};
+
+// Renewal invoices can arrive before the matching subscription update.
+// Only a failed renewal of a subscription that was paid up opens a grace
+// period: a failed first invoice, or a late event for a canceled or
+// incomplete subscription, grants nothing.
+const startGracePeriod = async (invoice) => {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId || invoice.billing_reason !== 'subscription_cycle') {
+    return;
+  }
+
+  const { data: existing } = await supabase
+    .from('subscriptions')
+    .select('grace_until')
+    .eq('stripe_subscription_id', subscriptionId)
+    .maybeSingle();
+
+  if (!existing) return;
+
+  await supabase
+    .from('subscriptions')
+    .update({
+      status: 'past_due',
+      grace_until: graceUntil('past_due', existing),
+      updated_at: new Date().toISOString()
+    })
+    .eq('stripe_subscription_id', subscriptionId)
+    .in('status', ['active', 'trialing', 'past_due']);
+};
+
+// Only a subscription waiting on a failed renewal is recovered: a late
+// invoice event must not reactivate one Stripe has since canceled
+const endGracePeriod = async (invoice) => {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) return;
+
+  await supabase
+    .from('subscriptions')
+    .update({
+      status: 'active',
+      grace_until: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('stripe_subscription_id', subscriptionId)
+    .in('status', ['past_due', 'unpaid']);
+};
+
+// customer.subscription.* and invoice.* webhook events
+exports.handleBillingEvent = async (event) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      await exports.syncSubscription(object);
+      break;
+    case 'invoice.payment_failed':
+      await startGracePeriod(object);
+      break;
+    case 'invoice.paid':
+    case 'invoice.payment_succeeded':
+      await endGracePeriod(object);
+      break;
+    default:
+      break;
+  }
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+// Minimal RFC 6238 TOTP implementation (SHA-1, 6 digits, 30s period), which is
+// what Google Authenticator, Authy and 1Password expect by default.
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) output += ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const idx = ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const hotp = (key, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, '0');
+};
+
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+exports.keyUri = (secret, account, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Accept codes from the previous/next time step to tolerate clock drift.
+exports.verify = (secret, token, window = 1) => {
+  if (!secret || !token || !/^\d{6}$/.test(String(token))) return false;
+
+  const key = base32Decode(secret);
+  const counter = Math.floor(Date.now() / 1000 / PERIOD);
+  const expected = Buffer.from(String(token));
+
+  for (let i = -window; i <= window; i += 1) {
+    const candidate = Buffer.from(hotp(key, counter + i));
+    if (crypto.timingSafeEqual(candidate, expected)) return true;
+  }
+
+  return false;
+};
@@ -0,0 +1,14 @@
+// Columns of `users` holding credentials. Only the MFA handlers read them;
+// they never appear in API responses, audit logs or data exports.
+const CREDENTIAL_COLUMNS = ['mfa_secret', 'mfa_recovery_codes'];
+
+exports.CREDENTIAL_COLUMNS = CREDENTIAL_COLUMNS;
+
+// Copy of a row without the credential columns
+exports.withoutCredentials = (row) => {
+  if (!row || typeof row !== 'object') return row;
+
+  const copy = { ...row };
+  CREDENTIAL_COLUMNS.forEach((column) => delete copy[column]);
+  return copy;
+};
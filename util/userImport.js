@@ -0,0 +1,295 @@
+const { supabase } = require('./supabaseclient');
+const { runInBackground } = require('./backgroundJobs');
+
+const MAX_IMPORT_ROWS = Number(process.env.USER_IMPORT_MAX_ROWS) || 5000;
+const IMPORT_ROLES = ['student', 'instructor'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+exports.IMPORT_ROLES = IMPORT_ROLES;
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+};
+
+const splitCourses = (value) =>
+  String(value || '')
+    .split(/[;|]/)
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+// Turn an uploaded CSV into import rows. Columns: email (required), name,
+// role (student|instructor) and courses (IDs separated by ';').
+// Invalid rows are kept with status 'failed' so they show in the report.
+exports.parseImportFile = async (buffer, defaultCourseIds = []) => {
+  const records = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+
+  if (records.length < 2) {
+    return { error: 'The CSV file needs a header row and at least one user' };
+  }
+
+  const header = records[0].map((h) => h.trim().toLowerCase());
+  const column = (name) => header.indexOf(name);
+
+  if (column('email') === -1) {
+    return { error: 'The CSV header must contain an email column' };
+  }
+
+  if (records.length - 1 > MAX_IMPORT_ROWS) {
+    return {
+      error: `An import can contain at most ${MAX_IMPORT_ROWS} users`
+    };
+  }
+
+  const nameColumn =
+    column('name') !== -1 ? column('name') : column('full_name');
+  const value = (record, index) =>
+    index === -1 ? '' : String(record[index] || '').trim();
+
+  const rows = records.slice(1).map((record, i) => ({
+    row_number: i + 2,
+    email: value(record, column('email')).toLowerCase(),
+    full_name: value(record, nameColumn) || null,
+    role: value(record, column('role')).toLowerCase() || 'student',
+    course_ids: [
+      ...new Set([
+        ...defaultCourseIds,
+        ...splitCourses(value(record, column('courses')))
+      ])
+    ]
+  }));
+
+  // Every referenced course must exist
+  const allCourseIds = [...new Set(rows.flatMap((row) => row.course_ids))];
+  let knownCourses = new Set();
+
+  if (allCourseIds.length > 0) {
+    const { data: courses, error } = await supabase
+      .from('courses')
+      .select('courseid')
+      .in('courseid', allCourseIds);
+
+    if (error) return { error: error.message };
+    knownCourses = new Set((courses || []).map((c) => String(c.courseid)));
+  }
+
+  const seen = new Set();
+
+  rows.forEach((row) => {
+    let error = null;
+    const unknownCourses = row.course_ids.filter(
+      (id) => !knownCourses.has(String(id))
+    );
+
+    if (!EMAIL_PATTERN.test(row.email)) error = 'Invalid email address';
+    else if (seen.has(row.email)) error = 'Duplicate email in this file';
+    else if (!IMPORT_ROLES.includes(row.role)) {
+      error = `role must be one of: ${IMPORT_ROLES.join(', ')}`;
+    } else if (unknownCourses.length > 0) {
+      error = `Unknown course(s): ${unknownCourses.join(', ')}`;
+    }
+
+    seen.add(row.email);
+    row.status = error ? 'failed' : 'pending';
+    row.error = error;
+  });
+
+  return { rows };
+};
+
+const updateJob = (importId, fields) =>
+  supabase.from('user_imports').update(fields).eq('import_id', importId);
+
+const updateRow = (row, fields) =>
+  supabase
+    .from('user_import_rows')
+    .update(fields)
+    .eq('import_id', row.import_id)
+    .eq('row_number', row.row_number);
+
+// Create the account for one row and enroll it. New users are invited by
+// Supabase and choose their own password; existing accounts are only
+// enrolled, their role is left alone.
+const importRow = async (row) => {
+  const { data: existing } = await supabase
+    .from('users')
+    .select('id')
+    .eq('email', row.email)
+    .maybeSingle();
+
+  let userId = existing ? existing.id : null;
+  const created = !userId;
+
+  if (created) {
+    const { data, error } = await supabase.auth.admin.inviteUserByEmail(
+      row.email,
+      { data: { name: row.full_name } }
+    );
+
+    if (error) throw new Error(error.message);
+    userId = data.user.id;
+
+    const { error: profileError } = await supabase.from('users').upsert(
+      [
+        {
+          id: userId,
+          email: row.email,
+          full_name: row.full_name,
+          role: row.role
+        }
+      ],
+      { onConflict: 'id' }
+    );
+
+    if (profileError) throw new Error(profileError.message);
+  }
+
+  if (row.course_ids && row.course_ids.length > 0) {
+    const { data: enrolled } = await supabase
+      .from('enrollments')
+      .select('course_id')
+      .eq('user_id', userId)
+      .in('course_id', row.course_ids);
+
+    const already = new Set((enrolled || []).map((e) => String(e.course_id)));
+    const toEnroll = row.course_ids.filter((id) => !already.has(String(id)));
+
+    if (toEnroll.length > 0) {
+      const { error: enrollError } = await supabase.from('enrollments').insert(
+        toEnroll.map((courseId) => ({
+          user_id: userId,
+          course_id: courseId,
+          enrollment_date: new Date().toISOString()
+        }))
+      );
+
+      if (enrollError) throw new Error(enrollError.message);
+    }
+  }
+
+  return { userId, created };
+};
+
+const refreshCounts = async (importId) => {
+  const { data: rows } = await supabase
+    .from('user_import_rows')
+    .select('status')
+    .eq('import_id', importId);
+
+  const counts = { succeeded: 0, failed: 0, pending: 0 };
+  (rows || []).forEach((row) => {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  });
+
+  await updateJob(importId, {
+    succeeded_rows: counts.succeeded,
+    failed_rows: counts.failed,
+    processed_rows: counts.succeeded + counts.failed
+  });
+
+  return counts;
+};
+
+// Work through every row still pending. Rows are committed one by one, so an
+// interrupted import resumes where it stopped.
+exports.processImport = async (job) => {
+  await updateJob(job.import_id, { status: 'processing' });
+
+  try {
+    const { data: rows, error } = await supabase
+      .from('user_import_rows')
+      .select('*')
+      .eq('import_id', job.import_id)
+      .eq('status', 'pending')
+      .order('row_number', { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    for (const [i, row] of (rows || []).entries()) {
+      try {
+        const { userId, created } = await importRow(row);
+        await updateRow(row, {
+          status: 'succeeded',
+          user_id: userId,
+          created,
+          error: null
+        });
+      } catch (err) {
+        await updateRow(row, {
+          status: 'failed',
+          error: err.message
+        });
+      }
+
+      if ((i + 1) % 25 === 0) await refreshCounts(job.import_id);
+    }
+
+    await refreshCounts(job.import_id);
+    await updateJob(job.import_id, {
+      status: 'completed',
+      completed_at: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error(`User import ${job.import_id} failed:`, err);
+    await updateJob(job.import_id, { status: 'failed', error: err.message });
+  }
+};
+
+exports.queueImport = (job) =>
+  runInBackground(`user-import:${job.import_id}`, () =>
+    exports.processImport(job)
+  );
+
+// Imports interrupted by a restart are picked up again at startup
+exports.resumePendingImports = async () => {
+  const { data, error } = await supabase
+    .from('user_imports')
+    .select('*')
+    .in('status', ['pending', 'processing']);
+
+  if (error) {
+    console.error('Failed to load pending user imports:', error);
+    return;
+  }
+
+  (data || []).forEach((job) => exports.queueImport(job));
+};